@@ -17,4 +17,20 @@ const upload = multer({
     }
 });
 
+// Spreadsheet imports (e.g. the master asset register), one CSV or XLSX file per request
+export const spreadsheetUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 20 * 1024 * 1024, // 20 MB
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (/\.(csv|xlsx)$/i.test(file.originalname || '')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Please upload a .csv or .xlsx file.'), false);
+        }
+    }
+});
+
 export default upload; 
\ No newline at end of file
@@ -0,0 +1,11 @@
+// Middleware (after protect) for tenant-scoped routes: the logged-in user must belong to an
+// organization, since every asset query is filtered by it
+const requireOrganization = (req, res, next) => {
+    if (req.user && req.user.orgId) {
+        return next();
+    }
+    console.log(`[Organizations] ${req.user?.email} has no organization; denied ${req.method} ${req.originalUrl}`);
+    res.status(403).json({ message: 'Your account has not been assigned to an organization yet.' });
+};
+
+export default requireOrganization;
@@ -0,0 +1,13 @@
+import { hasPermission } from '../services/permissions.js';
+
+// Middleware (after protect) requiring the logged-in user's role to grant every listed permission
+const requirePermission = (...permissions) => (req, res, next) => {
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (missing.length === 0) {
+        return next();
+    }
+    console.log(`[Permissions] ${req.user?.email} (role ${req.user?.role}) denied ${req.method} ${req.originalUrl}: missing ${missing.join(', ')}`);
+    res.status(403).json({ message: `Not authorized, requires the ${missing.join(' and ')} permission` });
+};
+
+export default requirePermission;
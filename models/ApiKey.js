@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+export const API_KEY_SCOPES = ['tags:read', 'tags:write', 'ocr:run', 'export'];
+
+// Personal API key for scripts and device integrations. The key itself is shown once on
+// creation; only its SHA-256 hash and a short prefix (to tell keys apart) are stored.
+const ApiKeySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Please name the API key'],
+        trim: true,
+        maxlength: 100
+    },
+    prefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    scopes: {
+        type: [{ type: String, enum: API_KEY_SCOPES }],
+        validate: [scopes => scopes.length > 0, 'Please choose at least one scope']
+    },
+    expiresAt: {
+        type: Date
+    },
+    lastUsedAt: {
+        type: Date
+    },
+    lastUsedIp: {
+        type: String
+    },
+    revokedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Never send the hash to clients, even from a freshly created document where it is loaded
+ApiKeySchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.keyHash;
+        return ret;
+    }
+});
+
+ApiKeySchema.index({ userId: 1, createdAt: -1 });
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+export default ApiKey;
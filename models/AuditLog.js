@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// One entry per administrative action, e.g. approving or disabling a user account
+const AuditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        required: true // e.g. 'user.approve', 'user.role'
+    },
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    actorEmail: {
+        type: String
+    },
+    targetUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    targetEmail: {
+        type: String
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed // Action-specific values, e.g. { from: 'user', to: 'admin' }
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ targetUserId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// A tenant (e.g. a school or department). Users belong to one organization and only ever
+// see asset tags carrying its orgId.
+const OrganizationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide an organization name'],
+        trim: true,
+        maxlength: 100
+    },
+    slug: { // Short unique handle, e.g. 'lincoln-high'
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain letters, digits and single hyphens']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const Organization = mongoose.model('Organization', OrganizationSchema);
+
+export default Organization;
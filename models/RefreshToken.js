@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Server-side record of an issued refresh token. Only a SHA-256 hash of the token is stored.
+// Each login starts a session (`sessionId`); every refresh rotates the token within it, so a
+// session is a chain of tokens of which only the newest is unrevoked.
+const RefreshTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    sessionId: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String // 'rotated', 'logout', 'logout-all', 'reuse', 'account-disabled', ...
+    },
+    userAgent: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired tokens
+RefreshTokenSchema.index({ sessionId: 1 });
+RefreshTokenSchema.index({ userId: 1 });
+
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+
+export default RefreshToken;
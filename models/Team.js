@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// A group of users inside an organization (e.g. one inventory crew). Membership is kept on
+// the user (User.teamIds).
+const TeamSchema = new mongoose.Schema({
+    orgId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Please provide a team name'],
+        trim: true,
+        maxlength: 100
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+TeamSchema.index({ orgId: 1, name: 1 }, { unique: true });
+
+const Team = mongoose.model('Team', TeamSchema);
+
+export default Team;
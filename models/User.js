@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ROLES, DEFAULT_ROLE } from '../services/permissions.js';
 
 const UserSchema = new mongoose.Schema({
     email: {
@@ -17,14 +18,75 @@ const UserSchema = new mongoose.Schema({
         minlength: 6,
         select: false // Do not return password by default
     },
-    isVerified: {
+    isVerified: { // Approved by an admin
         type: Boolean,
         default: false
     },
-    role: {
+    isEmailVerified: { // Owner confirmed the address through the link we emailed
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date
+    },
+    // Single-use tokens for email links; only SHA-256 hashes are stored
+    emailVerificationTokenHash: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpiresAt: {
+        type: Date,
+        select: false
+    },
+    passwordResetTokenHash: {
+        type: String,
+        select: false
+    },
+    passwordResetExpiresAt: {
+        type: Date,
+        select: false
+    },
+    role: { // See services/permissions.js; 'user' is the pre-roles name for technician
         type: String,
-        enum: ['user', 'admin'],
-        default: 'user'
+        enum: [...ROLES, 'user'],
+        default: DEFAULT_ROLE
+    },
+    orgId: { // Organization whose asset data the user works with; unset until an admin assigns one
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+    teamIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+    }],
+    approvedAt: {
+        type: Date
+    },
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    rejectedAt: { // Set when an admin turns down a pending registration
+        type: Date
+    },
+    rejectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    isDisabled: { // Disabled accounts cannot log in and their tokens stop working
+        type: Boolean,
+        default: false
+    },
+    disabledAt: {
+        type: Date
+    },
+    disabledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    tokenVersion: { // Bumped by "log out all devices"; access tokens carrying an older version are rejected
+        type: Number,
+        default: 0
     },
     createdAt: {
         type: Date,
@@ -35,7 +97,7 @@ const UserSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function(next) {
     if (!this.isModified('password')) {
-        next();
+        return next(); // Don't re-hash the stored hash when other fields change
     }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -46,6 +108,10 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+UserSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+UserSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+UserSchema.index({ orgId: 1 });
+
 const User = mongoose.model('User', UserSchema);
 
 export default User; 
\ No newline at end of file
@@ -0,0 +1,259 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import Organization from '../models/Organization.js';
+import Team from '../models/Team.js';
+import { adminProtect } from './auth.js';
+import { revokeAllSessions } from '../services/authTokens.js';
+import { ROLES } from '../services/permissions.js';
+
+const router = express.Router();
+
+// Every route here is admin-only
+router.use(adminProtect);
+
+// Filters for the account states shown in the admin list
+const STATUS_FILTERS = {
+    pending: { isVerified: false, rejectedAt: { $exists: false }, isDisabled: { $ne: true } },
+    active: { isVerified: true, isDisabled: { $ne: true } },
+    disabled: { isDisabled: true },
+    rejected: { isVerified: false, rejectedAt: { $exists: true } },
+};
+
+function accountStatus(user) {
+    if (user.isDisabled) return 'disabled';
+    if (user.isVerified) return 'active';
+    return user.rejectedAt ? 'rejected' : 'pending';
+}
+
+function toAdminUser(user) {
+    const plain = user.toObject ? user.toObject() : user;
+    delete plain.password;
+    return { ...plain, status: accountStatus(plain) };
+}
+
+// Record who did what to which account. A failed write is logged but doesn't undo the action.
+async function recordAudit(req, action, target, details) {
+    try {
+        await AuditLog.create({
+            action,
+            actorId: req.user._id,
+            actorEmail: req.user.email,
+            targetUserId: target._id,
+            targetEmail: target.email,
+            details,
+        });
+    } catch (err) {
+        console.error(`[Admin Users] Failed to record audit entry for ${action} on ${target.email}:`, err);
+    }
+    console.log(`[Admin Users] ${req.user.email} ${action} ${target.email}${details ? ` ${JSON.stringify(details)}` : ''}`);
+}
+
+function handleError(res, err, context) {
+    console.error(`Error ${context}:`, err);
+    if (err.name === 'CastError' || err.name === 'BSONError') {
+        return res.status(400).json({ message: 'Invalid ID format provided.' });
+    }
+    res.status(500).json({ message: 'Server error' });
+}
+
+// Admins can't lock themselves out (disable, delete or demote their own account)
+function isSelf(req) {
+    return String(req.user._id) === String(req.params.id);
+}
+
+// Shared handler for the account actions; `buildUpdate` gets the current user and the request
+// body and returns (or resolves to) { update, details } for the change, or { status, message } to refuse it.
+function userAction(action, doneMessage, buildUpdate) {
+    return async (req, res) => {
+        try {
+            const user = await User.findById(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found.' });
+            }
+
+            const { update, details, status, message } = await buildUpdate(user, req.body || {}, req);
+            if (message) {
+                return res.status(status || 400).json({ message });
+            }
+
+            // findByIdAndUpdate so the password hook never runs for admin changes
+            const updated = await User.findByIdAndUpdate(user._id, update, { new: true });
+            if (action === 'user.disable') {
+                await revokeAllSessions(user._id, 'account-disabled'); // Log the user out everywhere
+            }
+            await recordAudit(req, action, user, details);
+            res.json({ message: doneMessage, user: toAdminUser(updated) });
+        } catch (err) {
+            handleError(res, err, `during ${action}`);
+        }
+    };
+}
+
+// @route   GET /api/admin/users
+// @desc    List users, optionally filtered by status (pending, active, disabled, rejected)
+// @access  Private (Admin only)
+router.get('/', async (req, res) => {
+    const { status } = req.query;
+    if (status && !STATUS_FILTERS[status]) {
+        return res.status(400).json({ message: `status must be one of: ${Object.keys(STATUS_FILTERS).join(', ')}.` });
+    }
+    try {
+        const users = await User.find(status ? STATUS_FILTERS[status] : {}).sort({ createdAt: -1 });
+        res.json(users.map(toAdminUser));
+    } catch (err) {
+        handleError(res, err, 'listing users');
+    }
+});
+
+// @route   GET /api/admin/users/audit
+// @desc    Recent admin actions, newest first (optionally for one user via userId)
+// @access  Private (Admin only)
+router.get('/audit', async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.userId) {
+            query.targetUserId = new mongoose.Types.ObjectId(req.query.userId);
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+        const entries = await AuditLog.find(query).sort({ createdAt: -1 }).limit(limit);
+        res.json(entries);
+    } catch (err) {
+        handleError(res, err, 'fetching audit log');
+    }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get one user
+// @access  Private (Admin only)
+router.get('/:id', async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        res.json(toAdminUser(user));
+    } catch (err) {
+        handleError(res, err, 'fetching user');
+    }
+});
+
+// @route   POST /api/admin/users/:id/approve
+// @desc    Approve a pending (or previously rejected) registration so the user can log in
+// @access  Private (Admin only)
+router.post('/:id/approve', userAction('user.approve', 'User approved.', (user, body, req) => {
+    if (user.isVerified) {
+        return { status: 409, message: 'User is already approved.' };
+    }
+    return {
+        update: {
+            $set: { isVerified: true, approvedAt: new Date(), approvedBy: req.user._id },
+            $unset: { rejectedAt: '', rejectedBy: '' },
+        },
+    };
+}));
+
+// @route   POST /api/admin/users/:id/reject
+// @desc    Turn down a pending registration (body: optional reason)
+// @access  Private (Admin only)
+router.post('/:id/reject', userAction('user.reject', 'Registration rejected.', (user, body, req) => {
+    if (user.isVerified) {
+        return { status: 409, message: 'User is already approved; disable the account instead.' };
+    }
+    const reason = typeof body.reason === 'string' && body.reason.trim() ? body.reason.trim() : undefined;
+    return {
+        update: { $set: { rejectedAt: new Date(), rejectedBy: req.user._id } },
+        details: reason ? { reason } : undefined,
+    };
+}));
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role (body: role)
+// @access  Private (Admin only)
+router.put('/:id/role', userAction('user.role', 'Role updated.', (user, body, req) => {
+    if (!ROLES.includes(body.role)) {
+        return { message: `role must be one of: ${ROLES.join(', ')}.` };
+    }
+    if (isSelf(req)) {
+        return { status: 403, message: 'You cannot change your own role.' };
+    }
+    if (user.role === body.role) {
+        return { status: 409, message: `User already has the ${body.role} role.` };
+    }
+    return { update: { $set: { role: body.role } }, details: { from: user.role, to: body.role } };
+}));
+
+// @route   PUT /api/admin/users/:id/organization
+// @desc    Move a user into an organization (body: orgId, optional teamIds from that organization)
+// @access  Private (Admin only)
+router.put('/:id/organization', userAction('user.organization', 'Organization updated.', async (user, body) => {
+    if (!mongoose.isValidObjectId(body.orgId)) {
+        return { message: 'Please provide a valid orgId.' };
+    }
+    const org = await Organization.findById(body.orgId);
+    if (!org) {
+        return { status: 404, message: 'Organization not found.' };
+    }
+    const teamIds = body.teamIds === undefined ? [] : body.teamIds;
+    if (!Array.isArray(teamIds) || !teamIds.every(id => mongoose.isValidObjectId(id))) {
+        return { message: 'teamIds must be an array of team IDs.' };
+    }
+    const teams = await Team.find({ _id: { $in: teamIds }, orgId: org._id });
+    if (teams.length !== new Set(teamIds.map(String)).size) {
+        return { message: 'Every team must belong to the chosen organization.' };
+    }
+    return {
+        update: { $set: { orgId: org._id, teamIds: teams.map(team => team._id) } },
+        details: { from: user.orgId, to: org._id, teams: teams.map(team => team.name) },
+    };
+}));
+
+// @route   POST /api/admin/users/:id/disable
+// @desc    Disable an account: login is refused and existing tokens stop working
+// @access  Private (Admin only)
+router.post('/:id/disable', userAction('user.disable', 'User disabled.', (user, body, req) => {
+    if (isSelf(req)) {
+        return { status: 403, message: 'You cannot disable your own account.' };
+    }
+    if (user.isDisabled) {
+        return { status: 409, message: 'User is already disabled.' };
+    }
+    const reason = typeof body.reason === 'string' && body.reason.trim() ? body.reason.trim() : undefined;
+    return {
+        update: { $set: { isDisabled: true, disabledAt: new Date(), disabledBy: req.user._id } },
+        details: reason ? { reason } : undefined,
+    };
+}));
+
+// @route   POST /api/admin/users/:id/enable
+// @desc    Re-enable a disabled account
+// @access  Private (Admin only)
+router.post('/:id/enable', userAction('user.enable', 'User enabled.', (user) => {
+    if (!user.isDisabled) {
+        return { status: 409, message: 'User is not disabled.' };
+    }
+    return { update: { $set: { isDisabled: false }, $unset: { disabledAt: '', disabledBy: '' } } };
+}));
+
+// @route   DELETE /api/admin/users/:id
+// @desc    Delete a user account. Asset tags they scanned are kept.
+// @access  Private (Admin only)
+router.delete('/:id', async (req, res) => {
+    if (isSelf(req)) {
+        return res.status(403).json({ message: 'You cannot delete your own account.' });
+    }
+    try {
+        const user = await User.findByIdAndDelete(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        await revokeAllSessions(user._id, 'account-deleted');
+        await recordAudit(req, 'user.delete', user, { role: user.role, status: accountStatus(user) });
+        res.json({ message: 'User deleted.' });
+    } catch (err) {
+        handleError(res, err, 'deleting user');
+    }
+});
+
+export default router;
@@ -0,0 +1,85 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ApiKey, { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { sessionProtect } from './auth.js';
+import { createApiKey } from '../services/apiKeys.js';
+
+const router = express.Router();
+
+// Keys are managed from a logged-in session; a key can't create or revoke keys
+router.use(sessionProtect);
+
+const MAX_ACTIVE_KEYS_PER_USER = 20;
+
+// @route   GET /api/keys
+// @desc    List the user's API keys (never the keys themselves)
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const keys = await ApiKey.find({ userId: req.user._id }).sort({ createdAt: -1 });
+        res.json({ keys, availableScopes: API_KEY_SCOPES });
+    } catch (err) {
+        console.error('Error fetching API keys:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/keys
+// @desc    Create an API key (body: name, scopes, optional expiresInDays). The key is only returned here.
+// @access  Private
+router.post('/', async (req, res) => {
+    const { name, scopes, expiresInDays } = req.body || {};
+    if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ message: 'Please provide a name for the key.' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+        return res.status(400).json({ message: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}.` });
+    }
+    let expiresAt;
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+        const days = Number(expiresInDays);
+        if (!Number.isFinite(days) || days <= 0 || days > 3650) {
+            return res.status(400).json({ message: 'expiresInDays must be a number of days from 1 to 3650.' });
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    try {
+        const activeKeys = await ApiKey.countDocuments({ userId: req.user._id, revokedAt: null });
+        if (activeKeys >= MAX_ACTIVE_KEYS_PER_USER) {
+            return res.status(409).json({ message: `You already have ${MAX_ACTIVE_KEYS_PER_USER} active keys; revoke one first.` });
+        }
+        const { apiKey, key } = await createApiKey(req.user, { name: name.trim(), scopes, expiresAt });
+        console.log(`[API Keys] ${req.user.email} created key ${apiKey.prefix} (${apiKey.scopes.join(', ')})`);
+        res.status(201).json({ message: 'API key created. Copy it now; it will not be shown again.', key, apiKey });
+    } catch (err) {
+        console.error('Error creating API key:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/keys/:id
+// @desc    Revoke an API key; requests using it are refused from then on
+// @access  Private
+router.delete('/:id', async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: new mongoose.Types.ObjectId(req.params.id), userId: req.user._id, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        );
+        if (!apiKey) {
+            return res.status(404).json({ message: 'API key not found or already revoked.' });
+        }
+        console.log(`[API Keys] ${req.user.email} revoked key ${apiKey.prefix}`);
+        res.json({ message: 'API key revoked.', apiKey });
+    } catch (err) {
+        console.error('Error revoking API key:', err);
+        if (err.name === 'BSONError' || err.name === 'CastError') {
+            return res.status(400).json({ message: 'Invalid ID format provided.' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+export default router;
@@ -2,6 +2,11 @@ import express from 'express';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { createSession, rotateRefreshToken, revokeSession, revokeAllSessions, sessionForRefreshToken, verifyAccessToken, createOneTimeToken, hashToken } from '../services/authTokens.js';
+import { sendMail } from '../services/mail/index.js';
+import { apiKeyFromRequest, verifyApiKey } from '../services/apiKeys.js';
+import { hasPermission, permissionsFor, roleOf, PERMISSIONS } from '../services/permissions.js';
+import { passwordResetMessage, emailVerificationMessage } from '../services/mail/messages.js';
 import { body, validationResult } from 'express-validator';
 import rateLimit from 'express-rate-limit';
 
@@ -21,8 +26,55 @@ const authLimiter = rateLimit({
 // If specific routes need different limits, create separate limiters.
 router.use(authLimiter); // Apply to all /auth routes
 
-// Middleware to protect routes
+// Stored with each refresh token so users can tell their sessions apart
+function clientInfo(req) {
+    return { userAgent: req.get('user-agent'), ip: req.ip };
+}
+
+// How long emailed links stay valid
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60;
+
+// Same answer whether or not the address has an account, so these routes can't be used to probe for users
+const FORGOT_PASSWORD_RESPONSE = { message: 'If an account exists for that email, a password reset link has been sent.' };
+const RESEND_VERIFICATION_RESPONSE = { message: 'If that email belongs to an unconfirmed account, a new confirmation link has been sent.' };
+
+// Issue a new email confirmation token (replacing any earlier one) and mail the link
+async function sendVerificationEmail(user) {
+    const { token, tokenHash, expiresAt } = createOneTimeToken(EMAIL_VERIFICATION_TTL_MINUTES * 60 * 1000);
+    await User.updateOne({ _id: user._id }, { $set: { emailVerificationTokenHash: tokenHash, emailVerificationExpiresAt: expiresAt } });
+    return sendMail(emailVerificationMessage({ to: user.email, token, expiresInMinutes: EMAIL_VERIFICATION_TTL_MINUTES }));
+}
+
+// Issue a new password reset token (a new request replaces any earlier link) and mail the link
+async function sendPasswordResetEmail(user) {
+    const { token, tokenHash, expiresAt } = createOneTimeToken(PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await User.updateOne({ _id: user._id }, { $set: { passwordResetTokenHash: tokenHash, passwordResetExpiresAt: expiresAt } });
+    return sendMail(passwordResetMessage({ to: user.email, token, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES }));
+}
+
+// Middleware to protect routes. Accepts a Bearer JWT, or a personal API key
+// (`Authorization: ApiKey <key>` or `X-API-Key`), in which case req.apiKey is set and
+// requireScope decides what the key may do.
 export const protect = async (req, res, next) => {
+    const apiKey = apiKeyFromRequest(req);
+    if (apiKey) {
+        try {
+            const { user, apiKey: keyDoc } = await verifyApiKey(apiKey, { ip: req.ip });
+            req.user = user;
+            req.apiKey = keyDoc;
+        } catch (error) {
+            console.error(error.message);
+            if (error.name === 'UserNotFoundError') {
+                return res.status(401).json({ message: 'Not authorized, user not found' });
+            } else if (error.name === 'AccountDisabledError') {
+                return res.status(401).json({ message: 'Not authorized, account is disabled' });
+            }
+            return res.status(401).json({ message: 'Not authorized, API key is invalid, expired or revoked' });
+        }
+        return next();
+    }
+
     let tokenToVerify;
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
         try {
@@ -34,11 +86,10 @@ export const protect = async (req, res, next) => {
             }
             tokenToVerify = token;
 
-            const decoded = jwt.verify(tokenToVerify, process.env.JWT_SECRET);
-            req.user = await User.findById(decoded.id).select('-password');
-            if (!req.user) {
-                return res.status(401).json({ message: 'Not authorized, user not found' });
-            }
+            // Checks the signature, that the account is still active and that the token wasn't revoked
+            const { user, decoded } = await verifyAccessToken(tokenToVerify);
+            req.user = user;
+            req.sessionId = decoded.sid;
             next();
         } catch (error) {
             console.error(error); // Log the actual error for server-side debugging
@@ -46,6 +97,12 @@ export const protect = async (req, res, next) => {
                 return res.status(401).json({ message: 'Not authorized, token is invalid' });
             } else if (error.name === 'TokenExpiredError') {
                 return res.status(401).json({ message: 'Not authorized, token has expired' });
+            } else if (error.name === 'TokenRevokedError') {
+                return res.status(401).json({ message: 'Not authorized, token has been revoked' });
+            } else if (error.name === 'UserNotFoundError') {
+                return res.status(401).json({ message: 'Not authorized, user not found' });
+            } else if (error.name === 'AccountDisabledError') {
+                return res.status(401).json({ message: 'Not authorized, account is disabled' });
             }
             return res.status(401).json({ message: 'Not authorized, token failed' });
         }
@@ -56,10 +113,35 @@ export const protect = async (req, res, next) => {
     // If tokenToVerify was never assigned (e.g. no auth header or not Bearer), the else block above handles it.
 };
 
-// Middleware to protect admin routes
+// Whether the request may use an API key scope. Logged-in users (JWT) can do everything
+// their account allows; API keys only what they were created for.
+export function hasScope(req, scope) {
+    return !req.apiKey || req.apiKey.scopes.includes(scope);
+}
+
+// Middleware (after protect) requiring an API key to carry at least one of the given scopes
+export const requireScope = (...scopes) => (req, res, next) => {
+    if (scopes.some(scope => hasScope(req, scope))) {
+        return next();
+    }
+    res.status(403).json({ message: `Not authorized, API key needs the ${scopes.join(' or ')} scope` });
+};
+
+// Middleware to protect routes that need a logged-in user rather than an API key
+// (managing API keys and sessions)
+export const sessionProtect = (req, res, next) => {
+    protect(req, res, () => {
+        if (req.apiKey) {
+            return res.status(403).json({ message: 'Not authorized, API keys cannot be used here' });
+        }
+        next();
+    });
+};
+
+// Middleware to protect admin routes (API keys are never accepted)
 export const adminProtect = (req, res, next) => {
-    protect(req, res, () => { // Call the base protect middleware
-        if (req.user && req.user.role === 'admin') {
+    sessionProtect(req, res, () => { // Call the base protect middleware (which turns API keys away)
+        if (req.user && hasPermission(req.user, PERMISSIONS.USERS_MANAGE)) {
             next(); // User is admin, proceed
         } else {
             // If req.user is not set by protect, it means protect already sent a response.
@@ -98,7 +180,9 @@ router.post('/register',
             });
 
             await user.save();
-            res.status(201).json({ message: 'User registered successfully. Please login.' });
+            // Not awaited: a mail failure doesn't fail the registration; the link can be re-sent
+            sendVerificationEmail(user).catch(err => console.error('[Mail] Failed to issue a confirmation link:', err.message));
+            res.status(201).json({ message: 'User registered successfully. Please confirm your email address, then login once an admin has approved your account.' });
 
         } catch (err) {
             console.error(err.message);
@@ -134,25 +218,22 @@ router.post('/login',
                 return res.status(400).json({ message: 'Invalid credentials' });
             }
 
+            if (user.isDisabled) {
+                return res.status(401).json({ message: 'Account disabled. Please contact an administrator.' });
+            }
+
+            if (user.rejectedAt && !user.isVerified) {
+                return res.status(401).json({ message: 'Account registration was not approved.' });
+            }
+
             // Check if user is verified
             if (!user.isVerified) {
                 return res.status(401).json({ message: 'Account not verified. Please wait for admin approval.' });
             }
 
-            const payload = {
-                id: user.id,
-                email: user.email
-            };
-
-            jwt.sign(
-                payload,
-                process.env.JWT_SECRET,
-                { expiresIn: process.env.JWT_EXPIRES_IN || '1h' },
-                (err, token) => {
-                    if (err) throw err;
-                    res.json({ token });
-                }
-            );
+            // Short-lived access token plus a refresh token for POST /auth/refresh
+            const { token, refreshToken, refreshTokenExpiresAt } = await createSession(user, clientInfo(req));
+            res.json({ token, refreshToken, refreshTokenExpiresAt });
 
         } catch (err) {
             console.error(err.message);
@@ -179,18 +260,208 @@ router.get('/status', protect, async (req, res) => {
     if (!user.isVerified) {
         // User is authenticated (valid token) but not verified.
         // Client needs to know this to display appropriate UI.
-        return res.json({ loggedIn: true, isVerified: false, email: user.email, userId: user._id, message: 'Account pending verification.' });
+        return res.json({ loggedIn: true, isVerified: false, isEmailVerified: user.isEmailVerified, email: user.email, userId: user._id, role: roleOf(user), permissions: permissionsFor(user), message: 'Account pending verification.' });
     }
 
     // If protect middleware passes AND user is verified, user is fully authorized
-    res.json({ loggedIn: true, isVerified: true, email: user.email, userId: user._id });
+    res.json({ loggedIn: true, isVerified: true, isEmailVerified: user.isEmailVerified, email: user.email, userId: user._id, role: roleOf(user), permissions: permissionsFor(user), orgId: user.orgId || null, teamIds: user.teamIds || [] });
 });
 
+// @route   POST /auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password',
+    [
+        body('email', 'Please include a valid email').isEmail()
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const user = await User.findOne({ email: req.body.email });
+            if (!user || user.isDisabled) {
+                return res.json(FORGOT_PASSWORD_RESPONSE);
+            }
+
+            // Not awaited: an existing account must not take measurably longer to answer than a missing one
+            sendPasswordResetEmail(user).catch(err => console.error('[Mail] Failed to issue a password reset link:', err.message));
+            res.json(FORGOT_PASSWORD_RESPONSE);
+        } catch (err) {
+            console.error(err.message);
+            res.status(500).send('Server error');
+        }
+    }
+);
+
+// @route   POST /auth/reset-password
+// @desc    Set a new password using the token from the reset email; logs out every device
+// @access  Public (requires a valid reset token)
+router.post('/reset-password',
+    [
+        body('token', 'Reset token is required').isString().notEmpty(),
+        body('password', 'Password must be 6 or more characters').isLength({ min: 6 })
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            // Clearing the token in the same update that finds it makes it single-use
+            const user = await User.findOneAndUpdate(
+                { passwordResetTokenHash: hashToken(req.body.token), passwordResetExpiresAt: { $gt: new Date() } },
+                { $unset: { passwordResetTokenHash: '', passwordResetExpiresAt: '' } }
+            );
+            if (!user || user.isDisabled) {
+                return res.status(400).json({ message: 'Reset link is invalid or has expired.' });
+            }
+
+            user.password = req.body.password;
+            await user.save(); // The save hook hashes the new password
+            await revokeAllSessions(user._id, 'password-reset');
+            console.log(`[Auth] Password reset for ${user.email}`);
+            res.json({ message: 'Password has been reset. Please login with your new password.' });
+        } catch (err) {
+            console.error(err.message);
+            res.status(500).send('Server error');
+        }
+    }
+);
+
+// @route   POST /auth/verify-email
+// @desc    Confirm an email address using the token from the confirmation email
+// @access  Public (requires a valid confirmation token)
+router.post('/verify-email',
+    [
+        body('token', 'Confirmation token is required').isString().notEmpty()
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const user = await User.findOneAndUpdate(
+                { emailVerificationTokenHash: hashToken(req.body.token), emailVerificationExpiresAt: { $gt: new Date() } },
+                {
+                    $set: { isEmailVerified: true, emailVerifiedAt: new Date() },
+                    $unset: { emailVerificationTokenHash: '', emailVerificationExpiresAt: '' }
+                },
+                { new: true }
+            );
+            if (!user) {
+                return res.status(400).json({ message: 'Confirmation link is invalid or has expired.' });
+            }
+            console.log(`[Auth] Email confirmed for ${user.email}`);
+            res.json({ message: 'Email address confirmed.', isVerified: user.isVerified });
+        } catch (err) {
+            console.error(err.message);
+            res.status(500).send('Server error');
+        }
+    }
+);
+
+// @route   POST /auth/resend-verification
+// @desc    Send a new email confirmation link
+// @access  Public
+router.post('/resend-verification',
+    [
+        body('email', 'Please include a valid email').isEmail()
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const user = await User.findOne({ email: req.body.email });
+            if (user && !user.isEmailVerified && !user.isDisabled) {
+                // Not awaited, for the same reason as in /forgot-password
+                sendVerificationEmail(user).catch(err => console.error('[Mail] Failed to issue a confirmation link:', err.message));
+            }
+            res.json(RESEND_VERIFICATION_RESPONSE);
+        } catch (err) {
+            console.error(err.message);
+            res.status(500).send('Server error');
+        }
+    }
+);
+
+// @route   POST /auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token (the old one is revoked)
+// @access  Public (requires a valid refresh token)
+router.post('/refresh',
+    [
+        body('refreshToken', 'Refresh token is required').isString().notEmpty()
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { token, refreshToken, refreshTokenExpiresAt } = await rotateRefreshToken(req.body.refreshToken, clientInfo(req));
+            res.json({ token, refreshToken, refreshTokenExpiresAt });
+        } catch (err) {
+            if (err.name === 'InvalidRefreshTokenError') {
+                return res.status(401).json({ message: err.message });
+            }
+            console.error(err.message);
+            res.status(500).send('Server error');
+        }
+    }
+);
+
 // @route   POST /auth/logout
-// @desc    Log user out
+// @desc    Log out this device: revokes the session of the access token and/or the given refresh token
+// @access  Public (works with an expired access token as long as the refresh token is sent)
+router.post('/logout', async (req, res) => {
+    try {
+        const sessionIds = new Set();
+        const authHeader = req.headers.authorization;
+        if (authHeader && authHeader.startsWith('Bearer ')) {
+            try {
+                // Expired tokens still identify the session to end
+                const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET, { ignoreExpiration: true });
+                if (decoded.sid) sessionIds.add(decoded.sid);
+            } catch (err) {
+                // An invalid access token just means there is no session to end through it
+            }
+        }
+        if (typeof req.body?.refreshToken === 'string' && req.body.refreshToken) {
+            const sessionId = await sessionForRefreshToken(req.body.refreshToken);
+            if (sessionId) sessionIds.add(sessionId);
+        }
+
+        for (const sessionId of sessionIds) {
+            await revokeSession(sessionId, 'logout');
+        }
+        res.status(200).json({ message: 'Logout successful' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /auth/logout-all
+// @desc    Log out every device: revokes all refresh tokens and outstanding access tokens
 // @access  Private
-router.post('/logout', protect, (req, res) => {
-    res.status(200).json({ message: 'Logout successful' });
+router.post('/logout-all', sessionProtect, async (req, res) => {
+    try {
+        const revoked = await revokeAllSessions(req.user._id, 'logout-all');
+        console.log(`[Auth] ${req.user.email} logged out of all devices (${revoked} session token(s) revoked)`);
+        res.status(200).json({ message: 'Logged out of all devices' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
 });
 
 export default router; 
\ No newline at end of file
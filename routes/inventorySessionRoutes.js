@@ -0,0 +1,126 @@
+import express from 'express';
+import { protect as protectRoute, requireScope } from './auth.js';
+import requirePermission from '../middlewares/requirePermission.js';
+import requireOrganization from '../middlewares/requireOrganization.js';
+import { PERMISSIONS } from '../services/permissions.js';
+import { getRegionService, normalizeRegionCode } from '../services/regions.js';
+import { createInventorySessionStore, SESSION_STATUSES } from '../services/inventorySessions.js';
+
+// This function accepts the db instance (Mongoose connection) as an argument
+export default function createInventorySessionRoutes(db) {
+    const router = express.Router();
+    const sessions = createInventorySessionStore(db);
+    const regions = getRegionService(db);
+
+    sessions.ensureIndexes()
+        .catch(err => console.error('Error creating inventory session indexes:', err));
+
+    // Sessions belong to the caller's organization, like the tags they group
+    router.use(protectRoute, requireOrganization);
+
+    function handleError(res, err, context) {
+        console.error(`Error ${context}:`, err);
+        if (err.name === 'BSONError' || err.name === 'BSONTypeError') {
+            return res.status(400).json({ message: 'Invalid ID format provided.' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+
+    // Shared handler for start and close; answers 404 or 409 when the change doesn't apply
+    function sessionTransition(verb, run) {
+        return async (req, res) => {
+            try {
+                const session = await run(req.user.orgId, req.params.id, req.user);
+                if (!session) {
+                    const existing = await sessions.get(req.user.orgId, req.params.id);
+                    if (!existing) {
+                        return res.status(404).json({ message: 'Inventory session not found.' });
+                    }
+                    return res.status(409).json({ message: `Inventory session is ${existing.status} and cannot be ${verb}.` });
+                }
+                console.log(`[Inventory Sessions] ${req.user.email} ${verb} session '${session.name}' (${session._id})`);
+                res.json(session);
+            } catch (err) {
+                handleError(res, err, `while the session was being ${verb}`);
+            }
+        };
+    }
+
+    // @route   GET /api/inventory-sessions
+    // @desc    List the organization's inventory sessions, newest first (optional status filter)
+    // @access  Private
+    router.get('/', requireScope('tags:read'), async (req, res) => {
+        const { status } = req.query;
+        if (status && !SESSION_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `status must be one of: ${SESSION_STATUSES.join(', ')}.` });
+        }
+        try {
+            res.json(await sessions.list(req.user.orgId, { status }));
+        } catch (err) {
+            handleError(res, err, 'listing inventory sessions');
+        }
+    });
+
+    // @route   GET /api/inventory-sessions/:id
+    // @desc    Get one session with its summary (stored when closed, computed live otherwise)
+    // @access  Private
+    router.get('/:id', requireScope('tags:read'), async (req, res) => {
+        try {
+            const session = await sessions.get(req.user.orgId, req.params.id);
+            if (!session) {
+                return res.status(404).json({ message: 'Inventory session not found.' });
+            }
+            if (!session.summary) {
+                session.summary = await sessions.summarize(session);
+            }
+            res.json(session);
+        } catch (err) {
+            handleError(res, err, 'fetching inventory session');
+        }
+    });
+
+    // @route   POST /api/inventory-sessions
+    // @desc    Create a planned session (body: name, optional description and region)
+    // @access  Private (sessions:manage permission)
+    router.post('/', requireScope('tags:write'), requirePermission(PERMISSIONS.SESSIONS_MANAGE), async (req, res) => {
+        const { name, description, region: regionFromBody } = req.body || {};
+        if (typeof name !== 'string' || name.trim() === '' || name.trim().length > 200) {
+            return res.status(400).json({ message: 'Please provide a session name of at most 200 characters.' });
+        }
+        if (description !== undefined && (typeof description !== 'string' || description.length > 2000)) {
+            return res.status(400).json({ message: 'description must be a string of at most 2000 characters.' });
+        }
+        try {
+            let region;
+            if (regionFromBody) {
+                region = normalizeRegionCode(regionFromBody);
+                if (!(await regions.getRegion(region))) {
+                    return res.status(400).json({ message: `Unknown region '${region}'.` });
+                }
+            }
+            const session = await sessions.create({
+                orgId: req.user.orgId,
+                name: name.trim(),
+                description: description ? description.trim() : undefined,
+                region,
+                user: req.user,
+            });
+            console.log(`[Inventory Sessions] ${req.user.email} created session '${session.name}' (${session._id})`);
+            res.status(201).json(session);
+        } catch (err) {
+            handleError(res, err, 'creating inventory session');
+        }
+    });
+
+    // @route   POST /api/inventory-sessions/:id/start
+    // @desc    Start a planned session so scans can be added to it
+    // @access  Private (sessions:manage permission)
+    router.post('/:id/start', requireScope('tags:write'), requirePermission(PERMISSIONS.SESSIONS_MANAGE), sessionTransition('started', sessions.start));
+
+    // @route   POST /api/inventory-sessions/:id/close
+    // @desc    Close an active session and store its summary (rooms covered, tag counts, users)
+    // @access  Private (sessions:manage permission)
+    router.post('/:id/close', requireScope('tags:write'), requirePermission(PERMISSIONS.SESSIONS_MANAGE), sessionTransition('closed', sessions.close));
+
+    return router;
+}
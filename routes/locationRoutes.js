@@ -0,0 +1,141 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { protect as protectRoute, sessionProtect, requireScope } from './auth.js';
+import requirePermission from '../middlewares/requirePermission.js';
+import requireOrganization from '../middlewares/requireOrganization.js';
+import { PERMISSIONS } from '../services/permissions.js';
+import { createLocationStore, validateLocationInput, LOCATION_TYPES } from '../services/locations.js';
+
+// This function accepts the db instance (Mongoose connection) as an argument
+export default function createLocationRoutes(db) {
+    const router = express.Router();
+    const locations = createLocationStore(db);
+
+    locations.ensureIndexes()
+        .catch(err => console.error('Error creating location indexes:', err));
+
+    // Locations belong to the caller's organization
+    const manageLocations = [sessionProtect, requireOrganization, requirePermission(PERMISSIONS.LOCATIONS_MANAGE)];
+
+    function handleError(res, err, context) {
+        console.error(`Error ${context}:`, err);
+        if (err.name === 'BSONError' || err.name === 'BSONTypeError') {
+            return res.status(400).json({ message: 'Invalid ID format provided.' });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+
+    // @route   GET /api/locations
+    // @desc    List the organization's locations (filters: type, parentId; format=tree nests them)
+    // @access  Private
+    router.get('/', protectRoute, requireOrganization, requireScope('tags:read'), async (req, res) => {
+        const { type, parentId, format } = req.query;
+        if (type && !LOCATION_TYPES.includes(type)) {
+            return res.status(400).json({ message: `type must be one of: ${LOCATION_TYPES.join(', ')}.` });
+        }
+        if (parentId && parentId !== 'root' && !mongoose.isValidObjectId(parentId)) {
+            return res.status(400).json({ message: 'Invalid ID format provided.' });
+        }
+        try {
+            const filter = { type };
+            if (parentId) {
+                filter.parentId = parentId === 'root' ? null : new mongoose.Types.ObjectId(parentId);
+            }
+            const found = await locations.list(req.user.orgId, filter);
+            res.json(format === 'tree' ? locations.toTree(found) : found);
+        } catch (err) {
+            handleError(res, err, 'listing locations');
+        }
+    });
+
+    // @route   GET /api/locations/:id
+    // @desc    Get one location
+    // @access  Private
+    router.get('/:id', protectRoute, requireOrganization, requireScope('tags:read'), async (req, res) => {
+        try {
+            const location = await locations.get(req.user.orgId, req.params.id);
+            if (!location) {
+                return res.status(404).json({ message: 'Location not found.' });
+            }
+            res.json(location);
+        } catch (err) {
+            handleError(res, err, 'fetching location');
+        }
+    });
+
+    // @route   POST /api/locations
+    // @desc    Add a location (body: type, name, parentId, optional aliases such as "Rm 101")
+    // @access  Private (locations:manage permission)
+    router.post('/', ...manageLocations, async (req, res) => {
+        const { location, errors } = validateLocationInput(req.body);
+        if (errors.length) {
+            return res.status(400).json({ message: 'Invalid location.', errors });
+        }
+        try {
+            const { location: created, status, error } = await locations.create(req.user.orgId, location);
+            if (error) {
+                return res.status(status).json({ message: error });
+            }
+            console.log(`[Locations] ${req.user.email} added ${created.type} '${created.name}' (${created._id})`);
+            res.status(201).json(created);
+        } catch (err) {
+            handleError(res, err, 'creating location');
+        }
+    });
+
+    // @route   PUT /api/locations/:id
+    // @desc    Rename a location or change its aliases (type and parent are fixed)
+    // @access  Private (locations:manage permission)
+    router.put('/:id', ...manageLocations, async (req, res) => {
+        const { type, parentId, ...changes } = req.body || {};
+        if (type !== undefined || parentId !== undefined) {
+            return res.status(400).json({ message: 'A location\'s type and parent cannot be changed; tags refer to its place in the hierarchy.' });
+        }
+        const { location, errors } = validateLocationInput(changes, { partial: true });
+        if (errors.length) {
+            return res.status(400).json({ message: 'Invalid location.', errors });
+        }
+        try {
+            const updated = await locations.update(req.user.orgId, req.params.id, location);
+            if (!updated) {
+                return res.status(404).json({ message: 'Location not found.' });
+            }
+            console.log(`[Locations] ${req.user.email} updated ${updated.type} '${updated.name}' (${updated._id})`);
+            res.json(updated);
+        } catch (err) {
+            handleError(res, err, 'updating location');
+        }
+    });
+
+    // @route   DELETE /api/locations/:id
+    // @desc    Remove a location that has no child locations and no tags
+    // @access  Private (locations:manage permission)
+    router.delete('/:id', ...manageLocations, async (req, res) => {
+        try {
+            const { removed, status, error } = await locations.remove(req.user.orgId, req.params.id);
+            if (error) {
+                return res.status(status).json({ message: error });
+            }
+            console.log(`[Locations] ${req.user.email} removed ${removed.type} '${removed.name}' (${removed._id})`);
+            res.json({ message: 'Location removed.' });
+        } catch (err) {
+            handleError(res, err, 'removing location');
+        }
+    });
+
+    // @route   POST /api/locations/match-rooms
+    // @desc    Link existing tags that only have a free-text roomNumber to the matching rooms.
+    //          Values that match no room (or several) are listed so rooms or aliases can be added.
+    // @access  Private (locations:manage permission)
+    router.post('/match-rooms', ...manageLocations, async (req, res) => {
+        try {
+            const result = await locations.matchRoomNumbers(req.user.orgId);
+            console.log(`[Locations] ${req.user.email} matched ${result.matched} tag(s) to rooms; ${result.unmatched.length} room value(s) unmatched`);
+            res.json(result);
+        } catch (err) {
+            handleError(res, err, 'matching room numbers');
+        }
+    });
+
+    return router;
+}
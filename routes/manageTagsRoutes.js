@@ -1,11 +1,22 @@
 import express from 'express';
-import { protect as protectRoute, adminProtect } from './auth.js';
+import { protect as protectRoute, adminProtect, requireScope } from './auth.js';
 import mongoose from 'mongoose'; // Needed for ObjectId
-import jwt from 'jsonwebtoken'; // Import JWT at the top instead of dynamic import
-// import { Parser } from 'json2csv'; // For CSV export
+import { verifyAccessToken } from '../services/authTokens.js';
+import { generateAssetUrl } from '../services/assetUrl.js';
+import { getRegionService, normalizeRegionCode } from '../services/regions.js';
+import { checkAssetTag, tagFormatFor } from '../services/tagFormat.js';
+import { createInventorySessionStore } from '../services/inventorySessions.js';
+import { createLocationStore, tagLocationFields } from '../services/locations.js';
+import { createAssetTagStore } from '../services/assetTagStore.js';
+import { hasPermission, PERMISSIONS } from '../services/permissions.js';
+import { listParam, parseTagListQuery, TAG_LIST_INDEXES } from '../services/tagListing.js';
+import { isValidTimeZone, parseDateParam } from '../services/dates.js';
+import { EXPORT_FORMATS, parseExportColumns, streamTagExport } from '../services/tagExport.js';
+import requirePermission from '../middlewares/requirePermission.js';
+import requireOrganization from '../middlewares/requireOrganization.js';
 
 // Store active SSE connections
-const sseConnections = new Map(); // userId -> Set of response objects
+const sseConnections = new Map(); // userId or 'org:<orgId>:all' -> Set of response objects
 
 // This function accepts the db instance (Mongoose connection) as an argument
 export default function createManageTagsRoutes(db) {
@@ -15,23 +26,106 @@ export default function createManageTagsRoutes(db) {
 
     // Get the AssetTags collection
     const AssetTags = db.collection('asset_tags');
+    const regions = getRegionService(db);
+    const sessions = createInventorySessionStore(db);
+    const locations = createLocationStore(db);
+    const tagStore = createAssetTagStore(db);
+
+    // Duplicate detection looks tags up by organization + assetTag + region on every save
+    AssetTags.createIndex({ orgId: 1, assetTag: 1, region: 1, scannedAt: 1 })
+        .catch(err => console.error('Error creating asset_tags duplicate index:', err));
+    AssetTags.createIndex({ orgId: 1, userId: 1, scannedAt: -1 })
+        .catch(err => console.error('Error creating asset_tags organization index:', err));
+    for (const keys of TAG_LIST_INDEXES) {
+        AssetTags.createIndex(keys)
+            .catch(err => console.error('Error creating asset_tags listing index:', err));
+    }
+
+    // Every query here is limited to the caller's organization (requireOrganization guarantees one)
+    function orgFilter(req) {
+        return { orgId: req.user.orgId };
+    }
+
+    // Reports default to the user's own tags; showAllUsers=true needs the tags:view-all permission
+    // and covers everyone in the organization. Returns the filter to apply, or null after answering 403.
+    function viewFilter(req, res) {
+        if (req.query.showAllUsers !== 'true') {
+            return { ...orgFilter(req), userId: req.user.id };
+        }
+        if (!hasPermission(req.user, PERMISSIONS.TAGS_VIEW_ALL)) {
+            res.status(403).json({ message: `Not authorized, requires the ${PERMISSIONS.TAGS_VIEW_ALL} permission` });
+            return null;
+        }
+        return orgFilter(req);
+    }
+
+    // ?locationId= narrows a listing to a site, building, floor or room (and everything inside it).
+    // Returns the filter to apply, or null after answering 400/404.
+    async function locationFilter(req, res) {
+        const { locationId } = req.query;
+        if (!locationId) return {};
+        if (!mongoose.isValidObjectId(locationId)) {
+            res.status(400).json({ message: 'Invalid location ID format provided.' });
+            return null;
+        }
+        const location = await locations.get(req.user.orgId, locationId);
+        if (!location) {
+            res.status(404).json({ message: 'Location not found.' });
+            return null;
+        }
+        return { locationPath: location._id };
+    }
+
+    // Rejected misreads never leave the review queue, and low-confidence reads still waiting for
+    // review aren't final yet: they are only listed or exported with includeUnreviewed=true
+    function statusFilter(req) {
+        return { status: { $nin: req.query.includeUnreviewed === 'true' ? ['rejected'] : ['rejected', 'needsReview'] } };
+    }
+
+    // Tags matching `scope` and the listing parameters (filters, sort, page/limit). Returns
+    // { total, returned, body } with the response body, or null after answering 400/404.
+    async function listTags(req, res, scope, { allowUserFilter = false } = {}) {
+        const { listing, errors } = parseTagListQuery(req.query, { allowUserFilter });
+        if (errors.length) {
+            res.status(400).json({ message: 'Invalid listing parameters.', errors });
+            return null;
+        }
+        const byLocation = await locationFilter(req, res);
+        if (!byLocation) return null;
+
+        const query = { ...listing.filter, ...byLocation, ...scope, ...statusFilter(req) };
+        if (!listing.paged) {
+            // Without page/limit the answer keeps its original shape: a bare array of every match
+            const tags = await AssetTags.find(query).sort(listing.sort).toArray();
+            return { total: tags.length, returned: tags.length, body: tags };
+        }
+        const [tags, total] = await Promise.all([
+            AssetTags.find(query).sort(listing.sort).skip(listing.skip).limit(listing.limit).toArray(),
+            AssetTags.countDocuments(query),
+        ]);
+        const body = { tags, total, page: listing.page, limit: listing.limit, totalPages: Math.ceil(total / listing.limit) };
+        return { total, returned: tags.length, body };
+    }
+
+    // Tags the user may change: their own, or anyone's in the organization with tags:edit-all
+    function editFilter(req) {
+        return hasPermission(req.user, PERMISSIONS.TAGS_EDIT_ALL) ? orgFilter(req) : { ...orgFilter(req), userId: req.user.id };
+    }
 
     // @route   GET /api/manage/tags
-    // @desc    Get all asset tags for the logged-in user, optionally filtered
+    // @desc    Get the logged-in user's asset tags. Query: page, limit, sort, order, region, aiModel,
+    //          roomNumber, source, from, to, q (asset tag prefix), locationId (any level),
+    //          includeUnreviewed=true to also list reads still waiting for review. With page or limit
+    //          the answer is { tags, total, page, limit, totalPages }; without, a bare array of every match
     // @access  Private
-    router.get('/', protectRoute, async (req, res) => {
+    router.get('/', protectRoute, requireOrganization, requireScope('tags:read'), async (req, res) => {
         try {
             console.log('[Manage Tags Route] req.user.id:', req.user.id, 'Type:', typeof req.user.id);
-            const query = { userId: req.user.id }; // Only fetch tags for the logged-in user
-
-            // --- TEMPORARY DEBUGGING --- 
-            // const tags = await AssetTags.find({}).sort({ scannedAt: -1 }).toArray(); // Fetch all to test rendering
-            // console.log('[Manage Tags Route] Temporarily fetched all tags:', tags.length);
-            // --- END TEMPORARY DEBUGGING ---
-            
-            const tags = await AssetTags.find(query).sort({ scannedAt: -1 }).toArray();
-            console.log(`[Manage Tags Route] Found ${tags.length} tags for userId: ${req.user.id}`);
-            res.json(tags);
+            // Only fetch tags for the logged-in user
+            const result = await listTags(req, res, { ...orgFilter(req), userId: req.user.id });
+            if (!result) return;
+            console.log(`[Manage Tags Route] Found ${result.total} tags for userId: ${req.user.id} (${result.returned} returned)`);
+            res.json(result.body);
         } catch (err) {
             console.error('Error fetching asset tags:', err);
             res.status(500).send('Server error');
@@ -39,16 +133,18 @@ export default function createManageTagsRoutes(db) {
     });
 
     // @route   GET /api/manage/tags/all
-    // @desc    Get asset tags for all users
-    // @access  Private (Any authenticated user)
-    router.get('/all', protectRoute, async (req, res) => {
+    // @desc    Get asset tags for all users in the caller's organization. Same query parameters
+    //          and answer as GET /api/manage/tags, plus userId to pick one user
+    // @access  Private (tags:view-all permission)
+    router.get('/all', protectRoute, requireOrganization, requireScope('tags:read'), requirePermission(PERMISSIONS.TAGS_VIEW_ALL), async (req, res) => {
         try {
             console.log('[Manage Tags Route] Fetching tags for all users by:', req.user.email);
-            
-            // No userId filter - returns all tags
-            const tags = await AssetTags.find({}).sort({ scannedAt: -1 }).toArray();
-            console.log(`[Manage Tags Route] Found ${tags.length} total tags across all users`);
-            res.json(tags);
+
+            // No userId scope - returns the organization's tags unless a userId filter was given
+            const result = await listTags(req, res, orgFilter(req), { allowUserFilter: true });
+            if (!result) return;
+            console.log(`[Manage Tags Route] Found ${result.total} total tags across all users of organization ${req.user.orgId} (${result.returned} returned)`);
+            res.json(result.body);
         } catch (err) {
             console.error('Error fetching all asset tags:', err);
             res.status(500).send('Server error');
@@ -57,8 +153,8 @@ export default function createManageTagsRoutes(db) {
 
     // @route   DELETE /manage/tags
     // @desc    Delete one or more asset tags
-    // @access  Private
-    router.delete('/', protectRoute, async (req, res) => {
+    // @access  Private (tags:edit-own, or tags:edit-all for other users' tags)
+    router.delete('/', protectRoute, requireOrganization, requireScope('tags:write'), requirePermission(PERMISSIONS.TAGS_EDIT_OWN), async (req, res) => {
         const { ids } = req.body; // Expect an array of string IDs
 
         if (!ids || !Array.isArray(ids) || ids.length === 0) {
@@ -68,10 +164,10 @@ export default function createManageTagsRoutes(db) {
         try {
             const objectIds = ids.map(id => new mongoose.Types.ObjectId(id));
             
-            // Ensure users can only delete their own tags
-            const deleteResult = await AssetTags.deleteMany({ 
+            // Users can only delete their own tags unless their role may edit everyone's
+            const deleteResult = await AssetTags.deleteMany({
                 _id: { $in: objectIds },
-                userId: req.user.id 
+                ...editFilter(req),
             });
 
             if (deleteResult.deletedCount === 0) {
@@ -90,25 +186,65 @@ export default function createManageTagsRoutes(db) {
     });
 
     // @route   GET /manage/tags/export
-    // @desc    Export asset tags as CSV
-    // @access  Private
-    router.get('/export', protectRoute, async (req, res) => {
-        const { date, roomNumber, timezoneOffset: timezoneOffsetStr, showAllUsers } = req.query; // date format YYYY-MM-DD
+    // @desc    Export asset tags, optionally for one inventory session or location (showAllUsers=true also needs tags:view-all).
+    //          format: csv (default), xlsx, json or ndjson; columns: comma separated, see EXPORT_COLUMNS.
+    //          Days: date (one day) or from/to (YYYY-MM-DD, inclusive), in timeZone (IANA name, e.g. America/Chicago;
+    //          default UTC). roomNumber and userId may be repeated; region may be repeated or comma separated.
+    //          roomNumber matches loosely ("101" finds "Rm 101") and includes tags linked to that room.
+    //          userId needs tags:view-all, like showAllUsers. Reads still waiting for review are left out
+    //          unless includeUnreviewed=true, which also adds the Status column.
+    // @access  Private (tags:export permission)
+    router.get('/export', protectRoute, requireOrganization, requireScope('export'), requirePermission(PERMISSIONS.TAGS_EXPORT), async (req, res) => {
+        const { date, from, to, sessionId, timeZone, timezoneOffset: timezoneOffsetStr, showAllUsers } = req.query; // date format YYYY-MM-DD
+        const roomNumbers = listParam(req.query.roomNumber);
+        const regionCodes = listParam(req.query.region, { split: true }).map(normalizeRegionCode);
+        const userIds = listParam(req.query.userId);
+        const exportFormat = req.query.format || 'csv';
+        if (!EXPORT_FORMATS[exportFormat]) {
+            return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+        }
+        if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+            return res.status(400).json({ message: `Unknown timeZone '${timeZone}'; use an IANA name such as America/Chicago.` });
+        }
+        if (date && (from || to)) {
+            return res.status(400).json({ message: 'Use either date or from/to, not both.' });
+        }
 
         try {
-            let query = {};
+            // Picking users is an all-users report narrowed down
+            if (userIds.length && !hasPermission(req.user, PERMISSIONS.TAGS_VIEW_ALL)) {
+                return res.status(403).json({ message: `Not authorized, requires the ${PERMISSIONS.TAGS_VIEW_ALL} permission` });
+            }
+            const userFilter = userIds.length ? { ...orgFilter(req), userId: { $in: userIds } } : viewFilter(req, res);
+            if (!userFilter) return;
+            const byLocation = await locationFilter(req, res);
+            if (!byLocation) return;
+            let query = { ...statusFilter(req), ...userFilter, ...byLocation };
             if (showAllUsers === 'true') {
-                // Allow any authenticated user to see all tags - removed admin check
-                // query remains empty to fetch all
-                console.log(`[Export CSV] Exporting all users' data by user: ${req.user.email}`);
-            } else {
-                query.userId = req.user.id;
+                console.log(`[Export] Exporting all users' data by user: ${req.user.email}`);
             }
             
-            console.log(`[Export CSV] showAllUsers=${showAllUsers}, using query:`, query);
+            console.log(`[Export] showAllUsers=${showAllUsers}, using query:`, query);
+
+            if (roomNumbers.length) {
+                Object.assign(query, await locations.roomNumberFilter(req.user.orgId, roomNumbers)); // "101" also matches "Rm 101"
+            }
+            if (regionCodes.length) {
+                query.region = { $in: regionCodes };
+            }
 
-            if (roomNumber) {
-                query.roomNumber = roomNumber;
+            let session = null;
+            if (sessionId) {
+                session = await sessions.get(req.user.orgId, sessionId);
+                if (!session) {
+                    return res.status(404).json({ message: 'Inventory session not found.' });
+                }
+                query.sessionIds = session._id; // Includes tags rescanned (merged or skipped) in the session
+            }
+
+            const { columns, errors: columnErrors } = parseExportColumns(req.query.columns, { session, includeStatus: req.query.includeUnreviewed === 'true' });
+            if (columnErrors.length) {
+                return res.status(400).json({ message: 'Invalid columns.', errors: columnErrors });
             }
 
             if (date) {
@@ -116,14 +252,16 @@ export default function createManageTagsRoutes(db) {
                 if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
                     return res.status(400).json({ message: 'Invalid date format. Please use YYYY-MM-DD.' });
                 }
-                let startDate = new Date(date + 'T00:00:00.000Z');
-                let endDate = new Date(date + 'T23:59:59.999Z');
+                let startDate = parseDateParam(date, { timeZone });
+                let endDate = parseDateParam(date, { endOfDay: true, timeZone });
                 
-                if (isNaN(startDate.getTime())) { // Check if the base date string itself is valid
+                if (!startDate) { // Check if the base date string itself is valid
                      return res.status(400).json({ message: 'Invalid date value.'});
                 }
 
-                if (timezoneOffsetStr) {
+                // Older clients send their current UTC offset instead of a zone; it's only right
+                // for days on the same side of a DST change, so timeZone wins when both are given
+                if (timezoneOffsetStr && !timeZone) {
                     const timezoneOffsetMinutes = parseInt(timezoneOffsetStr, 10);
                     if (!isNaN(timezoneOffsetMinutes)) {
                         // timezoneOffset from client is new Date().getTimezoneOffset()
@@ -151,83 +289,276 @@ export default function createManageTagsRoutes(db) {
                     }
                 }
                 query.scannedAt = { $gte: startDate, $lte: endDate };
+            } else if (from || to) {
+                const startDate = parseDateParam(from, { timeZone });
+                const endDate = parseDateParam(to, { endOfDay: true, timeZone });
+                if (startDate === undefined || endDate === undefined) {
+                    return res.status(400).json({ message: 'from and to must be dates (YYYY-MM-DD or ISO 8601).' });
+                }
+                if (startDate && endDate && startDate > endDate) {
+                    return res.status(400).json({ message: 'from must not be after to.' });
+                }
+                query.scannedAt = {};
+                if (startDate) query.scannedAt.$gte = startDate;
+                if (endDate) query.scannedAt.$lte = endDate;
             }
-            
-            const tags = await AssetTags.find(query).sort({ scannedAt: -1 }).toArray();
-            console.log(`[Export CSV] Found ${tags.length} tags for export query:`, query);
 
-            if (tags.length === 0) {
+            // Find the first tag before sending headers, so an empty export can still answer 404
+            const cursor = AssetTags.find(query).sort({ scannedAt: -1, _id: -1 });
+            if (!(await cursor.hasNext())) {
+                await cursor.close();
                 return res.status(404).json({ message: 'No tags found for the given criteria.' });
             }
 
+            const fileNameDate = session ? `_session_${session._id}`
+                : date ? `_${date}`
+                : from || to ? `_${from || 'start'}_to_${to || 'now'}`
+                : roomNumbers.length === 1 ? `_room_${roomNumbers[0]}`
+                : '_all';
+            let rows;
             try {
-                // Dynamically import json2csv
-                console.log('[Export CSV] Importing json2csv module...');
-                const { Parser } = await import('json2csv');
-                console.log('[Export CSV] Successfully imported json2csv module');
-
-                const fields = [
-                    { label: 'Room Number', value: 'roomNumber', default: 'N/A' },
-                    { label: 'Asset Tag', value: 'assetTag' },
-                    { label: 'Asset URL', value: 'assetUrl' },
-                    { label: 'Date Recorded', value: (row) => new Date(row.scannedAt).toISOString() }
-                ];
-                console.log('[Export CSV] Creating parser with fields:', fields);
-                const json2csvParser = new Parser({ fields, header: true });
-                
-                // Validate tags data structure before parsing to catch issues early
-                console.log('[Export CSV] Validating tags data. First tag sample:', JSON.stringify(tags[0]).substring(0, 200));
-                
-                console.log('[Export CSV] Parsing tags to CSV...');
-                const csv = json2csvParser.parse(tags);
-                console.log(`[Export CSV] Successfully parsed ${tags.length} tags to CSV format`);
-
-                res.header('Content-Type', 'text/csv');
-                const fileNameDate = date ? `_${date}` : roomNumber ? `_room_${roomNumber}` : '_all';
-                res.attachment(`asset_tags_export${fileNameDate}.csv`);
-                res.send(csv);
-                console.log('[Export CSV] CSV successfully sent to client');
-            } catch (error) {
-                console.error('[Export CSV] Error in CSV generation:', error);
-                throw error; // Let the outer catch handle it
+                rows = await streamTagExport(res, cursor, {
+                    format: exportFormat,
+                    columns,
+                    filename: `asset_tags_export${fileNameDate}`,
+                    context: { session },
+                });
+            } finally {
+                await cursor.close().catch(() => {}); // Also when the client disconnected mid-export
             }
+            console.log(`[Export] Sent ${rows} tag(s) as ${exportFormat} to ${req.user.email} for query:`, query);
         } catch (err) {
             console.error('Error exporting asset tags:', err);
-            console.error('[Export CSV] Stack trace:', err.stack);
-            // Check for json2csv specific errors if any, though it's less common to have specific named errors here
-            if (err.message.includes('json2csv')) {
-                 return res.status(500).json({ message: 'Error during CSV conversion.', details: err.message });
+            console.error('[Export] Stack trace:', err.stack);
+            // Once rows are streaming the status is already sent; cut the download short instead
+            if (res.headersSent) {
+                return res.destroy(err);
+            }
+            if (err.name === 'BSONError' || err.name === 'BSONTypeError') {
+                return res.status(400).json({ message: 'Invalid ID format provided.' });
             }
             res.status(500).json({ message: 'Server error', details: err.message });
         }
     });
 
-    // @route   PUT /api/manage/tags/:id
-    // @desc    Update assetTag and/or roomNumber for a tag
+    // @route   GET /api/manage/tags/duplicates
+    // @desc    Report asset tags scanned more than once (same assetTag + region). Query: region
+    // @access  Private (showAllUsers=true needs tags:view-all)
+    router.get('/duplicates', protectRoute, requireOrganization, requireScope('tags:read'), async (req, res) => {
+        try {
+            const userFilter = viewFilter(req, res);
+            if (!userFilter) return;
+            const match = { status: { $ne: 'rejected' }, ...userFilter };
+            if (req.query.region) {
+                const region = normalizeRegionCode(req.query.region);
+                if (!region) {
+                    return res.status(400).json({ message: 'region must be a single region code.' });
+                }
+                if (!(await regions.getRegion(region))) {
+                    return res.status(400).json({ message: `Unknown region '${region}'.` });
+                }
+                match.region = region;
+            }
+
+            const duplicates = await AssetTags.aggregate([
+                { $match: match },
+                { $sort: { scannedAt: 1 } },
+                {
+                    $group: {
+                        _id: { assetTag: '$assetTag', region: '$region' },
+                        documents: { $sum: 1 },
+                        // Merged rescans live in scanCount, flagged ones are separate documents
+                        totalScans: { $sum: { $ifNull: ['$scanCount', 1] } },
+                        flaggedDuplicates: { $sum: { $cond: [{ $eq: ['$isDuplicate', true] }, 1, 0] } },
+                        firstScannedAt: { $min: '$scannedAt' },
+                        lastSeenAt: { $max: { $ifNull: ['$lastSeenAt', '$scannedAt'] } },
+                        users: { $addToSet: '$userEmail' },
+                        rooms: { $addToSet: '$roomNumber' },
+                        tagIds: { $push: '$_id' },
+                    },
+                },
+                { $match: { totalScans: { $gt: 1 } } },
+                { $sort: { totalScans: -1, lastSeenAt: -1 } },
+                {
+                    $project: {
+                        _id: 0,
+                        assetTag: '$_id.assetTag',
+                        region: '$_id.region',
+                        documents: 1,
+                        totalScans: 1,
+                        flaggedDuplicates: 1,
+                        firstScannedAt: 1,
+                        lastSeenAt: 1,
+                        users: 1,
+                        rooms: 1,
+                        tagIds: 1,
+                    },
+                },
+            ]).toArray();
+
+            console.log(`[Duplicates] Found ${duplicates.length} duplicated asset tags for query:`, match);
+            res.json(duplicates);
+        } catch (err) {
+            console.error('Error building duplicates report:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+    // @route   GET /api/manage/tags/review
+    // @desc    List low-confidence reads waiting for review
+    // @access  Private (showAllUsers=true needs tags:view-all)
+    router.get('/review', protectRoute, requireOrganization, requireScope('tags:read'), async (req, res) => {
+        try {
+            const userFilter = viewFilter(req, res);
+            if (!userFilter) return;
+            const query = { status: 'needsReview', ...userFilter };
+            const tags = await AssetTags.find(query).sort({ confidence: 1, scannedAt: -1 }).toArray();
+            console.log(`[Review] Found ${tags.length} tags pending review for query:`, query);
+            res.json(tags);
+        } catch (err) {
+            console.error('Error fetching tags for review:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+    // Shared handler for the review actions; `buildUpdate` returns (or resolves to) the $set (and
+    // optional $unset) for the tag or an error message
+    function reviewHandler(action, buildUpdate) {
+        return async (req, res) => {
+            try {
+                const objectId = new mongoose.Types.ObjectId(req.params.id);
+                const existing = await AssetTags.findOne({ _id: objectId, ...editFilter(req), status: 'needsReview' });
+                if (!existing) {
+                    return res.status(404).json({ message: 'Tag not found, not owned by user, or not pending review.' });
+                }
+
+                const { update, unset, error } = await buildUpdate(existing, req.body || {});
+                if (error) {
+                    return res.status(400).json({ message: error });
+                }
+
+                const reviewFields = {
+                    reviewOutcome: action,
+                    reviewedAt: new Date(),
+                    reviewedBy: req.user.id,
+                    reviewedByEmail: req.user.email,
+                };
+                const changes = { $set: { ...update, ...reviewFields } };
+                if (unset) changes.$unset = unset;
+                // Through the tag store, so a corrected tag lands on the right original scan
+                const updatedTag = await tagStore.updateTag({ _id: objectId, status: 'needsReview' }, changes);
+                if (!updatedTag) {
+                    return res.status(409).json({ message: 'Tag was already reviewed.' });
+                }
+                console.log(`[Review] Tag ${req.params.id} ${action} by ${req.user.email}`);
+                res.json({ message: `Tag ${action}.`, tag: updatedTag });
+            } catch (err) {
+                console.error(`Error during review (${action}):`, err);
+                if (err.name === 'BSONTypeError' || err.name === 'CastError' || err.name === 'BSONError') {
+                    return res.status(400).json({ message: 'Invalid ID format provided.' });
+                }
+                res.status(500).json({ message: 'Server error' });
+            }
+        };
+    }
+
+    // @route   POST /api/manage/tags/review/:id/accept
+    // @desc    Accept the read as-is
     // @access  Private
-    router.put('/:id', protectRoute, async (req, res) => {
+    router.post('/review/:id/accept', protectRoute, requireOrganization, requireScope('tags:write'), requirePermission(PERMISSIONS.TAGS_EDIT_OWN), reviewHandler('accepted', () => ({ update: { status: 'final' } })));
+
+    // @route   POST /api/manage/tags/review/:id/correct
+    // @desc    Replace the read with the correct asset tag (e.g. one of the alternates)
+    // @access  Private
+    router.post('/review/:id/correct', protectRoute, requireOrganization, requireScope('tags:write'), requirePermission(PERMISSIONS.TAGS_EDIT_OWN), reviewHandler('corrected', async (existing, body) => {
+        const regionDoc = await regions.getRegion(existing.region);
+        if (!regionDoc) {
+            return { error: `Region '${existing.region}' is no longer configured.` };
+        }
+        const check = checkAssetTag(typeof body.assetTag === 'string' ? body.assetTag : '', tagFormatFor(regionDoc));
+        if (!check.formatValid || check.checksumValid === false) {
+            return { error: `Please provide a valid assetTag for region ${regionDoc.code}: ${check.error}` };
+        }
+        const assetUrl = generateAssetUrl(check.assetTag, regionDoc);
+        const update = { status: 'final', assetTag: check.assetTag, assetUrl, originalAssetTag: existing.assetTag };
+        if (check.checksumValid !== undefined) update.checksumValid = true;
+        return { update };
+    }));
+
+    // @route   POST /api/manage/tags/review/:id/reject
+    // @desc    Reject the read as a misread; it is kept for auditing but hidden from lists and exports
+    // @access  Private
+    router.post('/review/:id/reject', protectRoute, requireOrganization, requireScope('tags:write'), requirePermission(PERMISSIONS.TAGS_EDIT_OWN), reviewHandler('rejected', () => ({ update: { status: 'rejected' }, unset: { isOriginal: '' } })));
+
+    // @route   PUT /api/manage/tags/:id
+    // @desc    Update assetTag, roomNumber and/or locationId (null clears it) for a tag. A roomNumber
+    //          given without locationId links the room it names, or clears the location when none matches.
+    // @access  Private (tags:edit-own, or tags:edit-all for other users' tags)
+    router.put('/:id', protectRoute, requireOrganization, requireScope('tags:write'), requirePermission(PERMISSIONS.TAGS_EDIT_OWN), async (req, res) => {
         const { id } = req.params;
-        const { assetTag, roomNumber } = req.body;
-        if (!assetTag && !roomNumber) {
+        const { assetTag, roomNumber, locationId } = req.body;
+        if (!assetTag && !roomNumber && locationId === undefined) {
             return res.status(400).json({ message: 'No fields to update.' });
         }
         try {
             const objectId = new mongoose.Types.ObjectId(id);
-            // Only allow update if the tag belongs to the user
-            const query = { _id: objectId, userId: req.user.id };
+            // Only allow update if the tag belongs to the user (or the user may edit everyone's)
+            const query = { _id: objectId, ...editFilter(req) };
             const update = {};
-            if (assetTag !== undefined) update.assetTag = assetTag;
+            const unset = {};
+            if (assetTag !== undefined) {
+                // Same rules as manual entry and review corrections: the tag's region decides the format and URL
+                const existing = await AssetTags.findOne(query);
+                if (!existing) {
+                    return res.status(404).json({ message: 'Tag not found or not owned by user.' });
+                }
+                const regionDoc = await regions.getRegion(existing.region);
+                if (!regionDoc) {
+                    return res.status(400).json({ message: `Region '${existing.region}' is no longer configured.` });
+                }
+                const check = checkAssetTag(typeof assetTag === 'string' ? assetTag : '', tagFormatFor(regionDoc));
+                if (!check.formatValid || check.checksumValid === false) {
+                    return res.status(400).json({ message: `Please provide a valid assetTag for region ${regionDoc.code}: ${check.error}` });
+                }
+                update.assetTag = check.assetTag;
+                update.assetUrl = generateAssetUrl(check.assetTag, regionDoc);
+                if (check.checksumValid !== undefined) update.checksumValid = true;
+            }
             if (roomNumber !== undefined) update.roomNumber = roomNumber;
-            
-            const result = await AssetTags.findOneAndUpdate(query, { $set: update }, { returnDocument: 'after' });
-            
-            // Handle both newer and older MongoDB driver result formats
-            if (!result && !result?.value) {
+            if (roomNumber !== undefined && locationId === undefined) {
+                // A new room without a location: link the room it names, like manual entry does, so the
+                // old location doesn't stay behind
+                const room = await locations.resolveRoom(req.user.orgId, roomNumber);
+                if (room) {
+                    Object.assign(update, tagLocationFields(room));
+                } else {
+                    unset.locationId = '';
+                    unset.locationPath = '';
+                }
+            } else if (locationId === null || locationId === '') {
+                unset.locationId = '';
+                unset.locationPath = '';
+            } else if (locationId !== undefined) {
+                if (!mongoose.isValidObjectId(locationId)) {
+                    return res.status(400).json({ message: 'Invalid location ID format provided.' });
+                }
+                const location = await locations.get(req.user.orgId, locationId);
+                if (!location) {
+                    return res.status(404).json({ message: 'Location not found.' });
+                }
+                Object.assign(update, tagLocationFields(location));
+                if (roomNumber === undefined && location.type === 'room') {
+                    update.roomNumber = location.name; // Keep the free-text room in step with the location
+                }
+            }
+
+            const changes = { $set: update };
+            if (Object.keys(unset).length) changes.$unset = unset;
+            const updatedTag = await tagStore.updateTag(query, changes);
+            if (!updatedTag) {
                 return res.status(404).json({ message: 'Tag not found or not owned by user.' });
             }
-            
-            // Return the updated document, accommodating different driver versions
-            const updatedTag = result.value || result;
+
             res.json({ message: 'Tag updated successfully.', tag: updatedTag });
         } catch (err) {
             console.error('Error updating asset tag:', err);
@@ -239,7 +570,7 @@ export default function createManageTagsRoutes(db) {
     });
 
     // @route   GET /api/manage/tags/stream
-    // @desc    Server-Sent Events endpoint for streaming new asset tags
+    // @desc    Server-Sent Events endpoint for streaming new asset tags (sessionId limits it to one inventory session)
     // @access  Private (token via query parameter since EventSource doesn't support headers)
     router.get('/stream', async (req, res) => {
         try {
@@ -268,9 +599,11 @@ export default function createManageTagsRoutes(db) {
                 return res.status(500).json({ message: 'Server configuration error' });
             }
             
+            let user;
             let decoded;
             try {
-                decoded = jwt.verify(token, jwtSecret);
+                // Same checks as the protect middleware, including logout/revocation
+                ({ user, decoded } = await verifyAccessToken(token));
                 console.log('[SSE] Token verified successfully for user:', decoded.id);
             } catch (jwtErr) {
                 console.log('[SSE] JWT verification failed:', jwtErr.name, jwtErr.message);
@@ -278,13 +611,39 @@ export default function createManageTagsRoutes(db) {
                     return res.status(401).json({ message: 'Token has expired' });
                 } else if (jwtErr.name === 'JsonWebTokenError') {
                     return res.status(401).json({ message: 'Invalid token' });
+                } else if (jwtErr.name === 'TokenRevokedError') {
+                    return res.status(401).json({ message: 'Token has been revoked' });
+                } else if (jwtErr.name === 'UserNotFoundError' || jwtErr.name === 'AccountDisabledError') {
+                    return res.status(401).json({ message: 'Account not found or disabled' });
                 } else {
                     return res.status(401).json({ message: 'Token verification failed' });
                 }
             }
 
+            if (showAllUsers && !hasPermission(user, PERMISSIONS.TAGS_VIEW_ALL)) {
+                console.log(`[SSE] User ${decoded.id} (role ${user.role}) may not stream all users' tags`);
+                return res.status(403).json({ message: `Not authorized, requires the ${PERMISSIONS.TAGS_VIEW_ALL} permission` });
+            }
+
+            if (!user.orgId) {
+                return res.status(403).json({ message: 'Your account has not been assigned to an organization yet.' });
+            }
+
+            let session = null;
+            if (req.query.sessionId) {
+                try {
+                    session = await sessions.get(user.orgId, req.query.sessionId);
+                } catch (idErr) {
+                    return res.status(400).json({ message: 'Invalid session ID format provided.' });
+                }
+                if (!session) {
+                    return res.status(404).json({ message: 'Inventory session not found.' });
+                }
+                res.locals.sessionId = String(session._id); // Checked by broadcastNewTag
+            }
+
             const userId = decoded.id;
-            console.log('[SSE] Setting up SSE connection for userId:', userId, 'showAllUsers:', showAllUsers);
+            console.log('[SSE] Setting up SSE connection for userId:', userId, 'showAllUsers:', showAllUsers, 'sessionId:', res.locals.sessionId || 'any');
             
             // Set up SSE headers
             res.writeHead(200, {
@@ -296,7 +655,8 @@ export default function createManageTagsRoutes(db) {
             });
 
             // Initialize connection tracking
-            const connectionKey = showAllUsers ? 'all' : userId;
+            // "All users" streams are per organization so tenants never see each other's scans
+            const connectionKey = showAllUsers ? orgChannel(user.orgId) : userId;
             if (!sseConnections.has(connectionKey)) {
                 sseConnections.set(connectionKey, new Set());
             }
@@ -325,6 +685,15 @@ export default function createManageTagsRoutes(db) {
         }
     });
 
+    function orgChannel(orgId) {
+        return `org:${orgId}:all`;
+    }
+
+    // Connections opened with a sessionId only receive tags from that inventory session
+    function wantsTag(res, tag) {
+        return !res.locals.sessionId || res.locals.sessionId === String(tag.sessionId);
+    }
+
     // Function to broadcast new tag to SSE connections
     function broadcastNewTag(tag) {
         console.log(`[SSE] Broadcasting new tag: ${tag.assetTag} by user ${tag.userId}`);
@@ -336,6 +705,7 @@ export default function createManageTagsRoutes(db) {
             const userConnections = sseConnections.get(tag.userId);
             console.log(`[SSE] Broadcasting to ${userConnections.size} user-specific connections for user ${tag.userId}`);
             userConnections.forEach(res => {
+                if (!wantsTag(res, tag)) return;
                 try {
                     res.write(`data: ${JSON.stringify({ type: 'newTag', tag })}\n\n`);
                     console.log(`[SSE] Successfully sent to user connection`);
@@ -348,11 +718,13 @@ export default function createManageTagsRoutes(db) {
             console.log(`[SSE] No user-specific connections found for user ${tag.userId}`);
         }
 
-        // Broadcast to "all users" connections
-        if (sseConnections.has('all')) {
-            const allConnections = sseConnections.get('all');
-            console.log(`[SSE] Broadcasting to ${allConnections.size} "all users" connections`);
+        // Broadcast to the tag's organization's "all users" connections
+        const allKey = orgChannel(tag.orgId);
+        if (sseConnections.has(allKey)) {
+            const allConnections = sseConnections.get(allKey);
+            console.log(`[SSE] Broadcasting to ${allConnections.size} "all users" connections of organization ${tag.orgId}`);
             allConnections.forEach(res => {
+                if (!wantsTag(res, tag)) return;
                 try {
                     res.write(`data: ${JSON.stringify({ type: 'newTag', tag })}\n\n`);
                     console.log(`[SSE] Successfully sent to all-users connection`);
@@ -362,7 +734,7 @@ export default function createManageTagsRoutes(db) {
                 }
             });
         } else {
-            console.log(`[SSE] No "all users" connections found`);
+            console.log(`[SSE] No "all users" connections found for organization ${tag.orgId}`);
         }
     }
 
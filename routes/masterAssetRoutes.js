@@ -0,0 +1,175 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { protect as protectRoute, requireScope, hasScope } from './auth.js';
+import { spreadsheetUpload } from '../middlewares/multerConfig.js';
+import requirePermission from '../middlewares/requirePermission.js';
+import requireOrganization from '../middlewares/requireOrganization.js';
+import { PERMISSIONS, hasPermission } from '../services/permissions.js';
+import { getRegionService, normalizeRegionCode } from '../services/regions.js';
+import { readSpreadsheet } from '../services/spreadsheet.js';
+import { buildMasterAssets, createMasterAssetStore, IMPORT_MODES, MAX_IMPORT_ROWS } from '../services/masterAssets.js';
+import { createInventorySessionStore } from '../services/inventorySessions.js';
+import { parseDateParam } from '../services/dates.js';
+
+// Row problems returned with an import; the rest are only counted
+const MAX_REPORTED_ERRORS = 100;
+
+// This function accepts the db instance (Mongoose connection) as an argument
+export default function createMasterAssetRoutes(db) {
+    const router = express.Router();
+    const masterAssets = createMasterAssetStore(db);
+    const sessions = createInventorySessionStore(db);
+    const regions = getRegionService(db);
+
+    masterAssets.ensureIndexes()
+        .catch(err => console.error('Error creating master asset indexes:', err));
+
+    // The register belongs to the caller's organization, like the tags it is compared with
+    router.use(protectRoute, requireOrganization);
+
+    // Multer errors (wrong file type, too large) become a 400 instead of the default error page
+    function receiveSpreadsheet(req, res, next) {
+        spreadsheetUpload.single('file')(req, res, err => {
+            if (err) {
+                return res.status(400).json({ message: err.message });
+            }
+            next();
+        });
+    }
+
+    // @route   POST /api/master-assets/import
+    // @desc    Upload the asset register as CSV or XLSX (multipart field `file`). Columns: asset
+    //          number, region, expected room, description. Body: region (default for rows without
+    //          one), mode ('merge' keeps assets missing from the file, 'replace' removes them)
+    // @access  Private (assets:import permission)
+    router.post('/import', requireScope('tags:write'), requirePermission(PERMISSIONS.ASSETS_IMPORT), receiveSpreadsheet, async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ message: 'Please upload the register as a .csv or .xlsx file in the `file` field.' });
+        }
+        const mode = req.body.mode || 'merge';
+        if (!IMPORT_MODES.includes(mode)) {
+            return res.status(400).json({ message: `mode must be one of: ${IMPORT_MODES.join(', ')}.` });
+        }
+
+        let rows;
+        try {
+            rows = await readSpreadsheet(req.file);
+        } catch (err) {
+            console.warn(`[Master Assets] Could not read '${req.file.originalname}':`, err.message);
+            return res.status(400).json({ message: `Could not read the file: ${err.message}` });
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ message: `The file has ${rows.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once.` });
+        }
+
+        try {
+            const configured = new Map((await regions.list()).map(region => [region.code, region]));
+            const defaultRegion = normalizeRegionCode(req.body.region) || null;
+            if (defaultRegion && !configured.has(defaultRegion)) {
+                return res.status(400).json({ message: `Unknown region '${defaultRegion}'.` });
+            }
+
+            const { assets, errors } = buildMasterAssets(rows, { regions: configured, defaultRegion });
+            if (assets.length === 0) {
+                return res.status(400).json({ message: 'No valid assets found in the file.', errors: errors.slice(0, MAX_REPORTED_ERRORS) });
+            }
+
+            const result = await masterAssets.importAssets(req.user.orgId, assets, { mode, user: req.user });
+            console.log(`[Master Assets] ${req.user.email} imported '${req.file.originalname}' (${mode}): ${result.inserted} new, ${result.updated} updated, ${result.removed} removed, ${errors.length} row(s) skipped`);
+            res.json({
+                message: 'Asset register imported.',
+                rows: rows.length,
+                ...result,
+                skipped: errors.length,
+                errors: errors.slice(0, MAX_REPORTED_ERRORS),
+            });
+        } catch (err) {
+            console.error('Error importing master assets:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+    // @route   GET /api/master-assets
+    // @desc    List the register (optional region and room filters; limit/skip for paging)
+    // @access  Private
+    router.get('/', requireScope('tags:read'), async (req, res) => {
+        try {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 5000);
+            const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+            res.json(await masterAssets.list(req.user.orgId, {
+                region: normalizeRegionCode(req.query.region) || undefined,
+                room: req.query.room,
+                limit,
+                skip,
+            }));
+        } catch (err) {
+            console.error('Error listing master assets:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+    // @route   GET /api/master-assets/reconciliation
+    // @desc    Compare scanned tags with the register for a date range (from/to) and/or an inventory
+    //          session (sessionId), optionally for one region. format=csv downloads the report.
+    // @access  Private (tags:view-all permission; tags:export for CSV)
+    router.get('/reconciliation', requireScope('tags:read'), requirePermission(PERMISSIONS.TAGS_VIEW_ALL), async (req, res) => {
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to, { endOfDay: true });
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({ message: 'from and to must be dates (YYYY-MM-DD or ISO 8601).' });
+        }
+        if (from && to && from > to) {
+            return res.status(400).json({ message: 'from must not be after to.' });
+        }
+        const asCsv = req.query.format === 'csv';
+        if (asCsv && !hasScope(req, 'export')) {
+            return res.status(403).json({ message: 'API key needs the export scope to download reports.' });
+        }
+        if (asCsv && !hasPermission(req.user, PERMISSIONS.TAGS_EXPORT)) {
+            return res.status(403).json({ message: `Not authorized, requires the ${PERMISSIONS.TAGS_EXPORT} permission` });
+        }
+
+        try {
+            let session = null;
+            if (req.query.sessionId) {
+                if (!mongoose.isValidObjectId(req.query.sessionId)) {
+                    return res.status(400).json({ message: 'Invalid session ID format provided.' });
+                }
+                session = await sessions.get(req.user.orgId, req.query.sessionId);
+                if (!session) {
+                    return res.status(404).json({ message: 'Inventory session not found.' });
+                }
+            }
+            // A session's own region narrows the comparison unless another one was asked for
+            const region = normalizeRegionCode(req.query.region) || (session && session.region) || undefined;
+
+            const report = await masterAssets.reconcile(req.user.orgId, { from, to, sessionId: session?._id, region });
+            console.log(`[Master Assets] Reconciliation by ${req.user.email}:`, report.summary);
+
+            if (!asCsv) {
+                return res.json({ scope: { from, to, sessionId: session?._id || null, region: region || null }, ...report });
+            }
+
+            const { Parser } = await import('json2csv');
+            const fields = [
+                { label: 'Status', value: 'status' },
+                { label: 'Asset Number', value: 'assetNumber' },
+                { label: 'Region', value: 'region' },
+                { label: 'Description', value: 'description', default: '' },
+                { label: 'Expected Room', value: 'expectedRoom', default: '' },
+                { label: 'Scanned Rooms', value: row => row.scannedRooms.join('; ') },
+                { label: 'Scanned By', value: row => row.scannedBy.join('; ') },
+                { label: 'Last Scanned', value: row => (row.lastScannedAt ? new Date(row.lastScannedAt).toISOString() : '') },
+            ];
+            const csv = new Parser({ fields, header: true }).parse(report.items);
+            res.header('Content-Type', 'text/csv');
+            res.attachment(`reconciliation${session ? `_session_${session._id}` : ''}${region ? `_${region}` : ''}.csv`);
+            res.send(csv);
+        } catch (err) {
+            console.error('Error building reconciliation report:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+    return router;
+}
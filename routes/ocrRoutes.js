@@ -1,16 +1,23 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import upload from '../middlewares/multerConfig.js';
-import { protect as protectRoute } from './auth.js'; // Import the protect middleware
+import { protect as protectRoute, requireScope, hasScope } from './auth.js'; // Import the protect middleware
 import rateLimit from 'express-rate-limit'; // Import express-rate-limit
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import dotenv from 'dotenv';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-// For loading .env in this isolated context if needed for on-demand client creation
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-dotenv.config({ path: path.resolve(__dirname, '../.env') }); // Correct path to .env in backend dir
+import { createOcrRunner } from '../services/ocr/ocrRunner.js';
+import { createImageReader } from '../services/ocr/imageReader.js';
+import { createImageProcessor } from '../services/ocr/imageProcessor.js';
+import { createImageCache } from '../services/ocr/imageCache.js';
+import { createOcrJobQueue } from '../services/ocr/jobQueue.js';
+import { mapWithConcurrency } from '../services/ocr/concurrency.js';
+import { createAssetTagStore, resolveDuplicatePolicy } from '../services/assetTagStore.js';
+import { getRegionService, normalizeRegionCode, DEFAULT_REGION_CODE } from '../services/regions.js';
+import { generateAssetUrl } from '../services/assetUrl.js';
+import { checkAssetTag, tagFormatFor } from '../services/tagFormat.js';
+import { createInventorySessionStore } from '../services/inventorySessions.js';
+import { createLocationStore, tagLocationFields } from '../services/locations.js';
+import { PERMISSIONS } from '../services/permissions.js';
+import requirePermission from '../middlewares/requirePermission.js';
+import requireOrganization from '../middlewares/requireOrganization.js';
 
 // Rate limiter for image processing route
 const imageProcessingLimiter = rateLimit({
@@ -21,92 +28,223 @@ const imageProcessingLimiter = rateLimit({
     message: 'Too many image processing requests from this IP, please try again after 15 minutes'
 });
 
-// Helper function to generate the asset URL
-function generateAssetUrl(assetTagString, region = 'HC') {
-  if (!assetTagString || typeof assetTagString !== 'string') {
-    return null;
-  }
-  const trimmedTag = assetTagString.trim();
-  // Ensure the trimmed tag is not empty and consists only of digits
-  if (trimmedTag === '' || !/^\d+$/.test(trimmedTag)) {
-    return null;
-  }
-
-  // ParseInt will handle leading zeros correctly for normalization (e.g., "00123" -> 123)
-  const numericValue = parseInt(trimmedTag, 10);
+// Opt-in streaming of /extract-text results, chosen by the Accept header
+function streamFormatFor(req) {
+  const accept = req.get('Accept') || '';
+  if (accept.includes('application/x-ndjson')) return 'ndjson';
+  if (accept.includes('text/event-stream')) return 'sse';
+  return null;
+}
 
-  // This check is mostly redundant due to the regex, but good for absolute safety with parseInt behavior
-  if (isNaN(numericValue)) {
-     return null;
+// One streamed record per image: file name, extracted text, saved tag id(s) or skip reason, and any error
+function toImageRecord(index, { text, result, failed }) {
+  const record = {
+    type: 'image',
+    index,
+    fileName: result.fileName,
+    text,
+    source: result.source,
+    provider: result.provider,
+    attempts: result.attempts,
+    cached: result.cached,
+    tags: result.tags.map(({ assetTag, tagId, status, skipReason, duplicateDecision }) => ({ assetTag, tagId, status, skipReason, duplicateDecision })),
+  };
+  if (failed) {
+    record.error = result.error;
+  } else if (result.tags.length === 0) {
+    record.skipReason = 'noTagFound';
+  } else {
+    // Convenience fields for single-tag mode
+    record.tagId = result.tags[0].tagId;
+    record.skipReason = result.tags[0].skipReason;
   }
-
-  const normalizedForPadding = String(numericValue); // Convert back to string for padding
-
-  // Determine base domain based on region
-  const baseDomain = region === 'YC' ? 'yazoocity' : 'humphreys';
-  const baseUrl = `https://${baseDomain}.camarathon.net/MarathonWeb/FA/Activities/Assets/AssetMain.aspx?FormAction=Edit&AssetNo=`;
-  const paddedTag = normalizedForPadding.padStart(12, '0'); // Pad to 12 digits
-  return `${baseUrl}${paddedTag}&SortGrid=AssetNo&ItemFilterID=170851`;
+  return record;
 }
 
-// This function accepts the openai client, db instance, and broadcast function as arguments
-export default function createOcrRoutes(openai, db, broadcastNewTag) {
+// This function accepts the OCR provider registry, db instance, broadcast function and
+// OCR options ({ retryPolicy, fallbackChain, barcodeDecoding, reviewThreshold, batchConcurrency,
+// jobConcurrency, jobPollIntervalMs, duplicatePolicy, perceptualHashMaxDistance }) as arguments
+export default function createOcrRoutes(ocrProviders, db, broadcastNewTag, ocrOptions = {}) {
   const router = express.Router();
+  const ocrRunner = createOcrRunner(ocrProviders, ocrOptions);
+  const imageReader = createImageReader(ocrRunner);
+  const defaultDuplicatePolicy = resolveDuplicatePolicy(ocrOptions.duplicatePolicy);
+  const tagStore = createAssetTagStore(db, { duplicatePolicy: defaultDuplicatePolicy });
+  const regions = getRegionService(db);
+  const sessions = createInventorySessionStore(db);
+  const locations = createLocationStore(db);
+  const imageProcessor = createImageProcessor({
+    tagStore,
+    imageReader,
+    regions,
+    imageCache: createImageCache(db, { maxDistance: ocrOptions.perceptualHashMaxDistance }),
+    broadcastNewTag,
+    reviewThreshold: ocrOptions.reviewThreshold ?? 0.8,
+  });
+  const jobQueue = createOcrJobQueue({
+    db,
+    ocrProviders,
+    imageProcessor,
+    concurrency: ocrOptions.jobConcurrency,
+    pollIntervalMs: ocrOptions.jobPollIntervalMs,
+  });
+
+  // @route   GET /ocr-providers
+  // @desc    List registered OCR providers so clients know which `aiModel` values are accepted
+  // @access  Private
+  router.get('/ocr-providers', protectRoute, requireScope('ocr:run'), (req, res) => {
+    const defaultProvider = ocrProviders.getDefault();
+    res.json({ providers: ocrProviders.list(), defaultProvider: defaultProvider ? defaultProvider.name : null });
+  });
 
   // Apply protectRoute middleware and the new rate limiter before the multer upload and the main route handler
-  router.post('/extract-text', imageProcessingLimiter, protectRoute, upload.array('photos', 50), async (req, res) => {
+  router.post('/extract-text', imageProcessingLimiter, protectRoute, requireOrganization, requireScope('ocr:run', 'tags:write'), requirePermission(PERMISSIONS.TAGS_CREATE), upload.array('photos', 50), async (req, res) => {
     // The req.user object will be available here if authentication is successful
-    const { id: userId, email: userEmail } = req.user;
-    const { assetTag: manualAssetTag, assetUrl: manualAssetUrl, roomNumber: roomNumberFromBody, captureDetail, sourceImageOriginalName, region: regionFromBody } = req.body;
+    const { id: userId, email: userEmail, orgId } = req.user; // Everything saved here belongs to the user's organization
+    const { assetTag: manualAssetTag, roomNumber: roomNumberFromBody, captureDetail, sourceImageOriginalName, region: regionFromBody, sessionId: sessionIdFromBody, locationId: locationIdFromBody } = req.body;
+
+    // Typed tags don't need a provider; anything else (photos, or a manual entry missing its tag) does
+    const isManualEntry = sourceImageOriginalName === 'manual_entry' && Boolean(manualAssetTag);
+
+    // Determine which OCR provider to use (registry default when not specified)
+    const aiModelFromBody = (req.body.aiModel || '').trim().toLowerCase();
+    const provider = ocrProviders.resolve(aiModelFromBody);
+    if (!provider && !isManualEntry) {
+      const available = ocrProviders.enabledProviders().map(p => p.name);
+      return res.status(400).json({ error: `Unknown or disabled aiModel '${aiModelFromBody}'.`, availableModels: available });
+    }
+    const aiModel = provider ? provider.name : null;
 
-    // Determine which AI model to use (default to Gemini)
-    const aiModelFromBody = (req.body.aiModel || '').toLowerCase();
-    const aiModel = aiModelFromBody === 'openai' ? 'openai' : 'gemini';
+    // Scans can join an active inventory session of the user's organization
+    let session = null;
+    if (sessionIdFromBody) {
+      let resolved;
+      try {
+        resolved = await sessions.resolveForScan(orgId, sessionIdFromBody);
+      } catch (err) {
+        console.error('Error loading inventory session:', err);
+        return res.status(500).json({ error: 'Failed to load inventory session.' });
+      }
+      if (resolved.error) {
+        return res.status(resolved.status).json({ error: resolved.error });
+      }
+      session = resolved.session;
+    }
+
+    // Where the scans were taken: an explicit locationId, otherwise the room the free-text
+    // roomNumber names (if exactly one matches). The text itself is kept either way.
+    let location = null;
+    try {
+      if (locationIdFromBody) {
+        if (!mongoose.isValidObjectId(locationIdFromBody)) {
+          return res.status(400).json({ error: `Invalid locationId '${locationIdFromBody}'.` });
+        }
+        location = await locations.get(orgId, locationIdFromBody);
+        if (!location) {
+          return res.status(404).json({ error: 'Location not found.' });
+        }
+      } else if (roomNumberFromBody) {
+        location = await locations.resolveRoom(orgId, roomNumberFromBody);
+      }
+    } catch (err) {
+      console.error('Error loading location:', err);
+      return res.status(500).json({ error: 'Failed to load location.' });
+    }
+    const roomNumber = (typeof roomNumberFromBody === 'string' && roomNumberFromBody.trim()) || (location && location.type === 'room' ? location.name : undefined);
+
+    // Region defaults to the session's region, then HC; anything else must be a configured region
+    const region = normalizeRegionCode(regionFromBody) || (session && session.region) || DEFAULT_REGION_CODE;
+    let regionDoc;
+    try {
+      regionDoc = await regions.getRegion(region);
+      if (!regionDoc) {
+        const available = (await regions.list()).map(r => r.code);
+        return res.status(400).json({ error: `Unknown region '${region}'.`, availableRegions: available });
+      }
+    } catch (err) {
+      console.error('Error loading region configuration:', err);
+      return res.status(500).json({ error: 'Failed to load region configuration.' });
+    }
 
-    // Default region to HC if not provided
-    const region = regionFromBody || 'HC';
+    // What to do when this assetTag + region was already saved (server default unless overridden)
+    const duplicatePolicy = resolveDuplicatePolicy(req.body.duplicatePolicy, defaultDuplicatePolicy);
 
     // Handle Manual Entry
-    if (sourceImageOriginalName === 'manual_entry' && manualAssetTag && manualAssetUrl) {
+    if (isManualEntry) {
+      if (!hasScope(req, 'tags:write')) {
+        return res.status(403).json({ error: 'API key needs the tags:write scope to save manual entries.' });
+      }
+      // Typed tags must pass the region's format and check digit; the user can fix a typo right away
+      const check = checkAssetTag(manualAssetTag, tagFormatFor(regionDoc));
+      if (!check.formatValid || check.checksumValid === false) {
+        return res.status(400).json({ error: `Invalid asset tag '${String(manualAssetTag).trim()}' for region ${regionDoc.code}: ${check.error}` });
+      }
+      // Built from the region's URL template rather than trusting the URL the frontend generated
+      const assetUrl = generateAssetUrl(check.assetTag, regionDoc);
       try {
-        const assetTagsCollection = db.collection('asset_tags');
         const docToInsert = {
-          assetTag: manualAssetTag.trim(),
-          assetUrl: manualAssetUrl.trim(), // URL is pre-generated by frontend
+          assetTag: check.assetTag,
+          assetUrl: assetUrl,
           scannedAt: new Date(),
           sourceImageOriginalName: 'manual_entry',
+          source: 'manual',
+          status: 'final',
           userId: userId,
           userEmail: userEmail,
+          orgId: orgId,
+          region: region, // Needed to match duplicates across manual and OCR entries
         };
 
-        if (roomNumberFromBody) {
-          docToInsert.roomNumber = roomNumberFromBody.trim();
+        if (session) {
+          docToInsert.sessionId = session._id;
+        }
+        if (check.checksumValid !== undefined) {
+          docToInsert.checksumValid = check.checksumValid;
+        }
+        if (roomNumber) {
+          docToInsert.roomNumber = roomNumber;
+        }
+        if (location) {
+          Object.assign(docToInsert, tagLocationFields(location));
         }
         // Optionally save captureDetail for manual entries if needed
         // if (captureDetail) {
         //   docToInsert.captureDetail = captureDetail;
         // }
 
-        const result = await assetTagsCollection.insertOne(docToInsert);
-        
-        // Add the inserted ID to the document for broadcasting
-        const tagWithId = { ...docToInsert, _id: result.insertedId };
-        
+        const { decision, tag, existingTagId } = await tagStore.saveTag(docToInsert, { policy: duplicatePolicy });
+        const duplicate = { decision, existingTagId };
+
+        if (decision === 'skipped' || decision === 'merged') {
+          console.log(`Manual asset tag '${docToInsert.assetTag}' already exists as ${existingTagId}; ${decision} per duplicate policy.`);
+          return res.json({
+            texts: [docToInsert.assetTag],
+            assetTag: docToInsert.assetTag,
+            tagId: existingTagId,
+            duplicate,
+          });
+        }
+
         let logMessage = `Manual asset tag '${docToInsert.assetTag}' (URL: ${docToInsert.assetUrl})`;
         if (docToInsert.roomNumber) {
           logMessage += ` for room '${docToInsert.roomNumber}'`;
         }
-        logMessage += ` saved to MongoDB with id: ${result.insertedId}`;
+        if (decision === 'flagged') {
+          logMessage += ` [duplicate of ${existingTagId}]`;
+        }
+        logMessage += ` saved to MongoDB with id: ${tag._id}`;
         console.log(logMessage);
 
         // Broadcast new tag to SSE connections
         if (broadcastNewTag) {
-          broadcastNewTag(tagWithId);
+          broadcastNewTag(tag);
         }
 
         return res.json({ 
           texts: [docToInsert.assetTag], // For consistency with OCR response structure
-          assetTag: docToInsert.assetTag  // To match frontend expectation for manual save
+          assetTag: docToInsert.assetTag,  // To match frontend expectation for manual save
+          tagId: tag._id,
+          duplicate,
         });
 
       } catch (dbErr) {
@@ -116,152 +254,142 @@ export default function createOcrRoutes(openai, db, broadcastNewTag) {
     }
 
     // --- Existing OCR Logic for Photo Uploads ---
+    if (!hasScope(req, 'ocr:run')) {
+      return res.status(403).json({ error: 'API key needs the ocr:run scope to process photos.' });
+    }
     if (!req.files?.length) {
       // This case should ideally not be reached if manual entry is handled above and frontend ensures one or the other
       return res.status(400).json({ error: 'No photos uploaded and not a valid manual entry.' });
     }
 
-    const allExtractedTexts = [];
-    let hadError = false;
-
-    for (const file of req.files) {
+    // Get capture detail from request body, default to 'low' if not provided or invalid
+    const captureDetailFromRequest = req.body.captureDetail;
+    // Options shared by every image in this upload (also persisted with async jobs)
+    const batchOptions = {
+      aiModel: aiModel, // Requested provider
+      region: region,
+      sessionId: session ? session._id : undefined, // Inventory session the scans belong to
+      roomNumber: roomNumber,
+      ...(location ? tagLocationFields(location) : {}), // locationId and locationPath
+      captureDetail: captureDetailFromRequest,
+      // Map 'veryHigh' to 'high' for OpenAI, otherwise use 'low' or 'high' directly. Default to 'auto' if invalid.
+      detail: (captureDetailFromRequest === 'high' || captureDetailFromRequest === 'veryHigh') ? 'high' : (captureDetailFromRequest === 'low' ? 'low' : 'auto'),
+      // Fallback to the next provider in the chain is on unless the client opts out
+      fallback: req.body.fallback !== 'false' && req.body.fallback !== false,
+      // Try decoding a barcode locally before paying for a vision model call
+      barcode: ocrOptions.barcodeDecoding !== false && req.body.skipBarcode !== 'true' && req.body.skipBarcode !== true,
+      // Multi-tag mode returns every asset number in each photo; texts become per-image arrays
+      multiTag: req.body.multiTag === 'true' || req.body.multiTag === true,
+      duplicatePolicy: duplicatePolicy,
+      // Re-uploads of an already processed photo reuse the earlier result unless forced
+      forceReprocess: req.body.forceReprocess === 'true' || req.body.forceReprocess === true,
+    };
+
+    // Async mode: store the images and return a job id right away; a worker processes them
+    if (req.body.async === 'true' || req.body.async === true) {
       try {
-        const base64 = file.buffer.toString('base64');
-        const dataUrl = `data:${file.mimetype};base64,${base64}`;
-        
-        // Get capture detail from request body, default to 'low' if not provided or invalid
-        const requestedDetail = req.body.captureDetail;
-        // Map 'veryHigh' to 'high' for OpenAI, otherwise use 'low' or 'high' directly. Default to 'auto' if invalid.
-        const imageDetail = (requestedDetail === 'high' || requestedDetail === 'veryHigh') ? 'high' : (requestedDetail === 'low' ? 'low' : 'auto');
-
-        let assetTagFromAI = '';
-
-        if (aiModel === 'openai') {
-          // ---------- OpenAI Vision ----------
-          const imagePayload = [{ type: 'image_url', image_url: { url: dataUrl, detail: imageDetail } }];
-
-          const openAiPayload = {
-            model: 'gpt-4.1-mini',
-            max_tokens: 2048, // Max tokens per image analysis
-            temperature: 0, // Deterministic output
-            messages: [
-              {
-                role: 'user',
-                content: [
-                  { type: 'text', text: 'You are an OCR reader looking for a 5 digit number. This 5 digit number may have additional leading zeros. A leading zero is a zero that comes before the 5 digits and does not count as a digit. Return only the 5 digits, truncating the leading zeros. Do not return anything other than 5 digits. If there is no visible 5 digit number, return NULL. ONLY RETURN THE NUMBER OR NULL. DO NOT RETURN ANYTHING ELSE.' },
-                  ...imagePayload, // Send only one image at a time
-                ],
-              },
-            ],
-          };
-
-          console.log(`Processing one image with OpenAI model '${openAiPayload.model}'.`);
-          const completion = await openai.chat.completions.create(openAiPayload);
-          assetTagFromAI = completion.choices?.[0]?.message?.content || '';
-        } else {
-          // ---------- Gemini Vision ----------
-          // Instantiate Gemini client on-demand
-          if (!process.env.GEMINI_API_KEY) {
-            console.error("CRITICAL in ocrRoutes: GEMINI_API_KEY is not available!");
-            // Handle error appropriately, maybe throw or return an error response
-            // For now, logging and letting it potentially fail at client creation
-          }
-          const geminiClient = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-          console.log('Processing one image with Gemini model "gemini-2.5-flash-preview-05-20".');
-
-          // Build Gemini prompt parts
-          const promptText = { text: 'You are an OCR reader looking for a 5 digit number. This 5 digit number may have additional leading zeros. A leading zero is a zero that comes before the 5 digits and does not count as a digit. Return only the 5 digits, truncating the leading zeros. Do not return anything other than 5 digits. If there is no visible 5 digit number, return NULL' };
-
-          const imagePart = {
-            inlineData: {
-              mimeType: file.mimetype,
-              data: base64,
-            },
-          };
-
-          try {
-            const model = geminiClient.getGenerativeModel({ model: 'gemini-2.5-flash-preview-05-20' });
-            const geminiResponse = await model.generateContent([promptText, imagePart]);
-            assetTagFromAI = geminiResponse?.response?.text() || '';
-          } catch (gemErr) {
-            console.error('Error from Gemini API:', gemErr);
-            throw gemErr; // Let outer catch handle this
-          }
-        }
-
-        allExtractedTexts.push(assetTagFromAI.trim()); // Add trimmed version to results for frontend
-
-        let potentialAssetTag = assetTagFromAI.trim(); // This is what AI returned, trimmed
-        // Aggressively remove any quote characters (single or double) that the AI might have added
-        potentialAssetTag = potentialAssetTag.replace(/[\"\']/g, '').trim();
-
-        const captureDetailFromRequest = req.body.captureDetail; // Use this for storing
-
-        if (potentialAssetTag !== '') { // Only attempt to process if AI returned some non-empty (after trim and quote removal) text
-          const assetUrl = generateAssetUrl(potentialAssetTag, region); // Pass region to generateAssetUrl
-
-          if (assetUrl) { // If URL is successfully generated, it means potentialAssetTag was a valid numeric string
-            try {
-              const assetTagsCollection = db.collection('asset_tags');
-              const docToInsert = {
-                assetTag: potentialAssetTag, // Store the numeric string as captured (and trimmed)
-                assetUrl: assetUrl, // Store the generated URL
-                scannedAt: new Date(),
-                sourceImageOriginalName: file.originalname, // Optional: store original filename
-                userId: userId, // Associate with the logged-in user (destructured above)
-                userEmail: userEmail, // Store user's email for convenience (destructured above)
-                region: region, // Store selected region
-                aiModel: aiModel, // Store which AI model was used
-              };
-
-              if (roomNumberFromBody) {
-                docToInsert.roomNumber = roomNumberFromBody.trim(); // ensure it's trimmed
-              }
-              if (captureDetailFromRequest) { // Store captureDetail from OCR process
-                docToInsert.captureDetail = captureDetailFromRequest;
-              }
-
-              const result = await assetTagsCollection.insertOne(docToInsert);
-              
-              // Add the inserted ID to the document for broadcasting
-              const tagWithId = { ...docToInsert, _id: result.insertedId };
-              
-              let logMessage = `Asset tag '${potentialAssetTag}' (URL: ${assetUrl})`;
-              if (roomNumberFromBody) {
-                logMessage += ` for room '${roomNumberFromBody}'`;
-              }
-              logMessage += ` from image '${file.originalname || 'unknown'}' saved to MongoDB with id: ${result.insertedId}`;
-              console.log(logMessage);
-
-              // Broadcast new tag to SSE connections
-              if (broadcastNewTag) {
-                broadcastNewTag(tagWithId);
-              }
-            } catch (dbErr) {
-              console.error("Error saving asset tag to MongoDB:", dbErr);
-              // Continue processing other images even if one DB save fails
-            }
-          } else {
-            // assetUrl is null, meaning potentialAssetTag was not a valid numeric asset tag string (e.g., "No tag found")
-            console.log(`Skipping save for invalid or non-numeric asset tag: '${potentialAssetTag}' from image '${file.originalname || 'unknown'}'`);
-          }
-        } // If potentialAssetTag was empty (AI returned empty or whitespace), it's correctly skipped
+        const job = await jobQueue.enqueue(req.files, { userId, userEmail, orgId, options: batchOptions });
+        return res.status(202).json({ jobId: job._id, status: job.status, total: job.total, statusUrl: `/jobs/${job._id}` });
       } catch (err) {
-        console.error(`Error processing image ${file.originalname || 'unknown'}:`, err);
-        allExtractedTexts.push(''); // Push empty string for failed image processing
-        hadError = true; // Mark that at least one error occurred
-        // We continue to the next image
+        console.error('Error queueing OCR job:', err);
+        return res.status(500).json({ error: 'Failed to queue images for processing.', details: err.message });
       }
     }
 
-    if (hadError && allExtractedTexts.every(text => text === '')) {
+    // Images are processed in parallel, up to the smaller of the batch limit and the provider's own
+    // concurrency limit (clients may ask for less). Provider calls are also rate limited centrally.
+    const requestedConcurrency = parseInt(req.body.concurrency, 10);
+    const batchConcurrency = Math.max(1, Math.min(
+      ocrOptions.batchConcurrency || 4,
+      provider.limits.maxConcurrent,
+      requestedConcurrency > 0 ? requestedConcurrency : Infinity,
+    ));
+
+    // Streaming mode: write each image's record as soon as it finishes, then a closing summary
+    const streamFormat = streamFormatFor(req);
+    let clientGone = false;
+    const writeRecord = record => {
+      if (clientGone || res.writableEnded) return;
+      res.write(streamFormat === 'sse' ? `data: ${JSON.stringify(record)}\n\n` : `${JSON.stringify(record)}\n`);
+    };
+    if (streamFormat) {
+      res.writeHead(200, {
+        'Content-Type': streamFormat === 'sse' ? 'text/event-stream' : 'application/x-ndjson',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no', // Stop proxies from holding records back
+      });
+      // Keep processing if the client disconnects: tags are still saved and broadcast
+      res.on('close', () => { clientGone = true; });
+    }
+
+    const outcomes = await mapWithConcurrency(req.files, batchConcurrency, async (file, index) => {
+      const outcome = await imageProcessor.processImage(file, { ...batchOptions, provider, userId, userEmail, orgId });
+      if (streamFormat) {
+        writeRecord(toImageRecord(index, outcome));
+      }
+      return outcome;
+    });
+
+    // Results stay in upload order regardless of which image finished first
+    const allExtractedTexts = outcomes.map(outcome => outcome.text);
+    const imageResults = outcomes.map(outcome => outcome.result); // Per-image provider/attempt details, same order as texts
+    const hadError = outcomes.some(outcome => outcome.failed); // At least one image failed; the others still count
+
+    if (streamFormat) {
+      writeRecord({
+        type: 'summary',
+        total: outcomes.length,
+        failed: outcomes.filter(outcome => outcome.failed).length,
+        tagsSaved: imageResults.reduce((count, result) => count + result.tags.filter(tag => tag.saved).length, 0),
+        texts: allExtractedTexts,
+      });
+      return res.end();
+    }
+
+    if (hadError && allExtractedTexts.every(text => text.length === 0)) {
         // If all images resulted in an error or no text, return a general error
-        return res.status(500).json({ error: 'Failed to process any images or extract text from them.', texts: allExtractedTexts });
+        return res.status(500).json({ error: 'Failed to process any images or extract text from them.', texts: allExtractedTexts, results: imageResults });
+    }
+
+    res.json({ texts: allExtractedTexts, results: imageResults }); // Return array of texts plus per-image provider details
+  });
+
+  // @route   GET /jobs
+  // @desc    List the logged-in user's recent OCR jobs
+  // @access  Private
+  router.get('/jobs', protectRoute, requireScope('ocr:run'), async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      res.json(await jobQueue.listJobs(req.user.id, limit));
+    } catch (err) {
+      console.error('Error listing OCR jobs:', err);
+      res.status(500).json({ error: 'Server error' });
     }
+  });
 
-    res.json({ texts: allExtractedTexts }); // Return array of texts
+  // @route   GET /jobs/:id
+  // @desc    Per-image progress and results for an async OCR job
+  // @access  Private (job owner only)
+  router.get('/jobs/:id', protectRoute, requireScope('ocr:run'), async (req, res) => {
+    try {
+      const job = await jobQueue.getJob(req.params.id, req.user.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found.' });
+      }
+      res.json(job);
+    } catch (err) {
+      console.error('Error fetching OCR job:', err);
+      if (err.name === 'BSONError' || err.name === 'BSONTypeError') {
+        return res.status(400).json({ error: 'Invalid job ID format.' });
+      }
+      res.status(500).json({ error: 'Server error' });
+    }
   });
 
+  // Expose the job queue so the server can start and stop its worker, and the tag store so it
+  // can create the original scan index before taking uploads
+  router.jobQueue = jobQueue;
+  router.tagStore = tagStore;
+
   return router;
 } 
\ No newline at end of file
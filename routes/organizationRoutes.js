@@ -0,0 +1,176 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import { adminProtect } from './auth.js';
+import { slugify } from '../services/organizations.js';
+
+// This function accepts the db instance (Mongoose connection) as an argument
+export default function createOrganizationRoutes(db) {
+    const router = express.Router();
+    const AssetTags = db.collection('asset_tags');
+
+    // Every route here is admin-only
+    router.use(adminProtect);
+
+    function handleError(res, err, context) {
+        console.error(`Error ${context}:`, err);
+        if (err.name === 'CastError' || err.name === 'BSONError') {
+            return res.status(400).json({ message: 'Invalid ID format provided.' });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ message: Object.values(err.errors).map(e => e.message).join(' ') });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+
+    async function findOrganization(req, res) {
+        const org = await Organization.findById(req.params.id);
+        if (!org) {
+            res.status(404).json({ message: 'Organization not found.' });
+        }
+        return org;
+    }
+
+    // @route   GET /api/admin/organizations
+    // @desc    List organizations with their teams and member counts
+    // @access  Private (Admin only)
+    router.get('/', async (req, res) => {
+        try {
+            const [orgs, teams, memberCounts] = await Promise.all([
+                Organization.find({}).sort({ name: 1 }),
+                Team.find({}).sort({ name: 1 }),
+                User.aggregate([{ $match: { orgId: { $exists: true } } }, { $group: { _id: '$orgId', count: { $sum: 1 } } }]),
+            ]);
+            const counts = new Map(memberCounts.map(entry => [String(entry._id), entry.count]));
+            res.json(orgs.map(org => ({
+                ...org.toObject(),
+                memberCount: counts.get(String(org._id)) || 0,
+                teams: teams.filter(team => String(team.orgId) === String(org._id)),
+            })));
+        } catch (err) {
+            handleError(res, err, 'listing organizations');
+        }
+    });
+
+    // @route   POST /api/admin/organizations
+    // @desc    Add an organization (body: name, optional slug)
+    // @access  Private (Admin only)
+    router.post('/', async (req, res) => {
+        const { name, slug } = req.body || {};
+        if (typeof name !== 'string' || name.trim() === '') {
+            return res.status(400).json({ message: 'Please provide an organization name.' });
+        }
+        try {
+            const org = await Organization.create({ name, slug: slug || slugify(name) });
+            console.log(`[Organizations] ${req.user.email} added organization ${org.slug}`);
+            res.status(201).json(org);
+        } catch (err) {
+            if (err.code === 11000) {
+                return res.status(409).json({ message: `Organization '${slug || slugify(name)}' already exists.` });
+            }
+            handleError(res, err, 'creating organization');
+        }
+    });
+
+    // @route   PUT /api/admin/organizations/:id
+    // @desc    Rename an organization (body: name). The slug never changes.
+    // @access  Private (Admin only)
+    router.put('/:id', async (req, res) => {
+        const { name } = req.body || {};
+        if (typeof name !== 'string' || name.trim() === '') {
+            return res.status(400).json({ message: 'Please provide an organization name.' });
+        }
+        try {
+            const org = await Organization.findByIdAndUpdate(req.params.id, { $set: { name } }, { new: true, runValidators: true });
+            if (!org) {
+                return res.status(404).json({ message: 'Organization not found.' });
+            }
+            console.log(`[Organizations] ${req.user.email} renamed organization ${org.slug} to '${org.name}'`);
+            res.json(org);
+        } catch (err) {
+            handleError(res, err, 'updating organization');
+        }
+    });
+
+    // @route   DELETE /api/admin/organizations/:id
+    // @desc    Remove an empty organization (no members and no asset tags)
+    // @access  Private (Admin only)
+    router.delete('/:id', async (req, res) => {
+        try {
+            const org = await findOrganization(req, res);
+            if (!org) return;
+            const [members, tags] = await Promise.all([
+                User.countDocuments({ orgId: org._id }),
+                AssetTags.countDocuments({ orgId: org._id }),
+            ]);
+            if (members > 0 || tags > 0) {
+                return res.status(409).json({ message: `Organization still has ${members} member(s) and ${tags} asset tag(s).` });
+            }
+            await Team.deleteMany({ orgId: org._id });
+            await Organization.deleteOne({ _id: org._id });
+            console.log(`[Organizations] ${req.user.email} removed organization ${org.slug}`);
+            res.json({ message: 'Organization removed.' });
+        } catch (err) {
+            handleError(res, err, 'removing organization');
+        }
+    });
+
+    // @route   GET /api/admin/organizations/:id/teams
+    // @desc    List an organization's teams
+    // @access  Private (Admin only)
+    router.get('/:id/teams', async (req, res) => {
+        try {
+            const org = await findOrganization(req, res);
+            if (!org) return;
+            res.json(await Team.find({ orgId: org._id }).sort({ name: 1 }));
+        } catch (err) {
+            handleError(res, err, 'listing teams');
+        }
+    });
+
+    // @route   POST /api/admin/organizations/:id/teams
+    // @desc    Add a team to an organization (body: name)
+    // @access  Private (Admin only)
+    router.post('/:id/teams', async (req, res) => {
+        const { name } = req.body || {};
+        if (typeof name !== 'string' || name.trim() === '') {
+            return res.status(400).json({ message: 'Please provide a team name.' });
+        }
+        try {
+            const org = await findOrganization(req, res);
+            if (!org) return;
+            const team = await Team.create({ orgId: org._id, name });
+            console.log(`[Organizations] ${req.user.email} added team '${team.name}' to ${org.slug}`);
+            res.status(201).json(team);
+        } catch (err) {
+            if (err.code === 11000) {
+                return res.status(409).json({ message: `Team '${name.trim()}' already exists in this organization.` });
+            }
+            handleError(res, err, 'creating team');
+        }
+    });
+
+    // @route   DELETE /api/admin/organizations/:id/teams/:teamId
+    // @desc    Remove a team; its members stay in the organization
+    // @access  Private (Admin only)
+    router.delete('/:id/teams/:teamId', async (req, res) => {
+        try {
+            const team = await Team.findOneAndDelete({
+                _id: new mongoose.Types.ObjectId(req.params.teamId),
+                orgId: new mongoose.Types.ObjectId(req.params.id),
+            });
+            if (!team) {
+                return res.status(404).json({ message: 'Team not found in this organization.' });
+            }
+            await User.updateMany({ teamIds: team._id }, { $pull: { teamIds: team._id } });
+            console.log(`[Organizations] ${req.user.email} removed team '${team.name}' from organization ${team.orgId}`);
+            res.json({ message: 'Team removed.' });
+        } catch (err) {
+            handleError(res, err, 'removing team');
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,108 @@
+import express from 'express';
+import { protect as protectRoute, sessionProtect } from './auth.js';
+import requirePermission from '../middlewares/requirePermission.js';
+import { PERMISSIONS, hasPermission } from '../services/permissions.js';
+import { getRegionService, validateRegionInput } from '../services/regions.js';
+
+// This function accepts the db instance (Mongoose connection) as an argument
+export default function createRegionRoutes(db) {
+    const router = express.Router();
+    const regions = getRegionService(db);
+
+    // @route   GET /api/regions
+    // @desc    List regions (region managers can pass includeInactive=true to see disabled ones)
+    // @access  Private
+    router.get('/', protectRoute, async (req, res) => {
+        try {
+            const includeInactive = req.query.includeInactive === 'true' && hasPermission(req.user, PERMISSIONS.REGIONS_MANAGE);
+            res.json(await regions.list({ includeInactive }));
+        } catch (err) {
+            console.error('Error fetching regions:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+    // @route   GET /api/regions/:code
+    // @desc    Get a single region by code
+    // @access  Private
+    router.get('/:code', protectRoute, async (req, res) => {
+        try {
+            const region = await regions.getRegion(req.params.code);
+            if (!region) {
+                return res.status(404).json({ message: 'Region not found.' });
+            }
+            res.json(region);
+        } catch (err) {
+            console.error('Error fetching region:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+    // @route   POST /api/regions
+    // @desc    Add a region
+    // @access  Private (regions:manage permission)
+    router.post('/', sessionProtect, requirePermission(PERMISSIONS.REGIONS_MANAGE), async (req, res) => {
+        const { region, errors } = validateRegionInput(req.body);
+        if (errors.length) {
+            return res.status(400).json({ message: 'Invalid region.', errors });
+        }
+        try {
+            const created = await regions.create(region);
+            console.log(`[Regions] ${req.user.email} added region ${created.code}`);
+            res.status(201).json(created);
+        } catch (err) {
+            if (err.code === 11000) {
+                return res.status(409).json({ message: `Region '${region.code}' already exists.` });
+            }
+            console.error('Error creating region:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+    // @route   PUT /api/regions/:code
+    // @desc    Update a region's name, URL template, padding, tag format or active flag
+    // @access  Private (regions:manage permission)
+    router.put('/:code', sessionProtect, requirePermission(PERMISSIONS.REGIONS_MANAGE), async (req, res) => {
+        const { code, ...changes } = req.body || {};
+        if (code !== undefined) {
+            return res.status(400).json({ message: 'Region code cannot be changed; existing tags refer to it.' });
+        }
+        const { region, errors } = validateRegionInput(changes, { partial: true });
+        if (errors.length) {
+            return res.status(400).json({ message: 'Invalid region.', errors });
+        }
+        if (Object.keys(region).length === 0) {
+            return res.status(400).json({ message: 'No fields to update.' });
+        }
+        try {
+            const updated = await regions.update(req.params.code, region);
+            if (!updated) {
+                return res.status(404).json({ message: 'Region not found.' });
+            }
+            console.log(`[Regions] ${req.user.email} updated region ${updated.code}`);
+            res.json(updated);
+        } catch (err) {
+            console.error('Error updating region:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+    // @route   DELETE /api/regions/:code
+    // @desc    Remove a region. Tags already saved for it are kept; new scans for it are rejected.
+    // @access  Private (regions:manage permission)
+    router.delete('/:code', sessionProtect, requirePermission(PERMISSIONS.REGIONS_MANAGE), async (req, res) => {
+        try {
+            const removed = await regions.remove(req.params.code);
+            if (!removed) {
+                return res.status(404).json({ message: 'Region not found.' });
+            }
+            console.log(`[Regions] ${req.user.email} removed region ${req.params.code.toUpperCase()}`);
+            res.json({ message: 'Region removed.' });
+        } catch (err) {
+            console.error('Error removing region:', err);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+
+    return router;
+}
@@ -1,7 +1,6 @@
 // server.js
 import express from 'express';
 import dotenv from 'dotenv';
-import OpenAI from 'openai';
 import mongoose from 'mongoose'; // Changed from MongoClient
 import path from 'path'; // Import path module
 import { fileURLToPath } from 'url'; // Import fileURLToPath module
@@ -12,6 +11,17 @@ import configuredCors from './middlewares/corsConfig.js';
 import createOcrRoutes from './routes/ocrRoutes.js';
 import authRoutes, { protect as protectRoute } from './routes/auth.js'; // Import auth routes and protect middleware
 import createManageTagsRoutes from './routes/manageTagsRoutes.js'; // Import manage tags routes
+import createRegionRoutes from './routes/regionRoutes.js';
+import adminUserRoutes from './routes/adminUserRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import createOrganizationRoutes from './routes/organizationRoutes.js';
+import createInventorySessionRoutes from './routes/inventorySessionRoutes.js';
+import createMasterAssetRoutes from './routes/masterAssetRoutes.js';
+import createLocationRoutes from './routes/locationRoutes.js';
+import { getRegionService } from './services/regions.js';
+import { initOrganizations } from './services/organizations.js';
+import { buildProviderRegistry, ocrOptionsFromEnv } from './services/ocr/index.js';
+import { getMailTransport } from './services/mail/index.js';
 
 // Determine __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -31,20 +41,36 @@ if (!MONGODB_URI) {
     console.error('FATAL ERROR: MONGODB_URI is not defined in the .env file.');
     process.exit(1);
 }
-if (!process.env.OPENAI_API_KEY) {
-    console.error('FATAL ERROR: OPENAI_API_KEY is not defined in the .env file.');
+// OCR providers - only those with credentials configured are enabled
+const ocrProviders = buildProviderRegistry(process.env);
+const enabledOcrProviders = ocrProviders.enabledProviders();
+if (enabledOcrProviders.length === 0) {
+    console.error('FATAL ERROR: No OCR provider is configured. Set OPENAI_API_KEY and/or GEMINI_API_KEY, or enable the local engine (LOCAL_OCR_ENABLED).');
     process.exit(1);
 }
-if (!process.env.GEMINI_API_KEY) {
-    console.error('FATAL ERROR: GEMINI_API_KEY is not defined in the .env file.');
+ocrProviders.list().filter(provider => !provider.enabled).forEach(provider => {
+    console.warn(`WARNING: OCR provider '${provider.name}' is disabled because it is not configured.`);
+});
+console.log(`OCR providers enabled: ${enabledOcrProviders.map(provider => provider.name).join(', ')}`);
+const ocrOptions = {
+    ...ocrOptionsFromEnv(process.env),
+    duplicatePolicy: process.env.DUPLICATE_POLICY, // skip | merge | flag (default flag)
+};
+if (ocrOptions.fallbackChain.length) {
+    console.log(`OCR fallback chain: ${ocrOptions.fallbackChain.join(' -> ')}`);
+}
+// Password reset and email confirmation links
+try {
+    console.log(`Mail transport: ${getMailTransport().name}`);
+} catch (err) {
+    console.error(`FATAL ERROR: ${err.message}`);
     process.exit(1);
 }
 
-// OpenAI client
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
 // MongoDB database instance (db will be set by Mongoose connection)
 let db;
+// Async OCR job queue (set once the OCR routes are created)
+let ocrJobQueue;
 
 // ---------- app setup ----------
 const app = express();
@@ -78,8 +104,18 @@ async function connectDB() {
 async function startServer() {
   await connectDB(); // Ensure DB is connected before starting the rest
 
+  await getRegionService(db).init(); // Seed the default regions on first run
+  await initOrganizations(db); // Move pre-tenant users and tags into a default organization
+
   // ---------- routes ----------
   app.use('/auth', authRoutes); // Mount authentication routes (e.g., /auth/login, /auth/register)
+  app.use('/api/regions', createRegionRoutes(db)); // Region registry (admin CRUD)
+  app.use('/api/admin/users', adminUserRoutes); // Account approval and management (admin only)
+  app.use('/api/admin/organizations', createOrganizationRoutes(db)); // Organizations and teams (admin only)
+  app.use('/api/keys', apiKeyRoutes); // Personal API keys for scripts and integrations
+  app.use('/api/inventory-sessions', createInventorySessionRoutes(db)); // Named inventory walkthroughs grouping scans
+  app.use('/api/master-assets', createMasterAssetRoutes(db)); // Official asset register and reconciliation report
+  app.use('/api/locations', createLocationRoutes(db)); // Site > building > floor > room hierarchy
 
   // Create and mount manage tags routes first, so we can access the broadcast function
   const manageTagsRouter = createManageTagsRoutes(db);
@@ -87,9 +123,14 @@ async function startServer() {
   // Mount all manage tags routes with protection (SSE endpoint handles its own auth)
   app.use('/api/manage/tags', manageTagsRouter);
 
-  // Pass openai, gemini clients, db connection, and broadcast function to ocrRoutes factory
-  const ocrRouter = createOcrRoutes(openai, db, manageTagsRouter.broadcastNewTag);
-  app.use('/', ocrRouter); // Mount OCR routes (e.g., /extract-text)
+  // Pass the OCR provider registry, db connection, broadcast function and OCR options to ocrRoutes factory
+  const ocrRouter = createOcrRoutes(ocrProviders, db, manageTagsRouter.broadcastNewTag, ocrOptions);
+  app.use('/', ocrRouter); // Mount OCR routes (e.g., /extract-text, /jobs/:id)
+  // Without the unique original scan index, two first scans of a tag saved at once could both become
+  // the original; a failure here stops startup
+  await ocrRouter.tagStore.ensureIndexes();
+  ocrJobQueue = ocrRouter.jobQueue;
+  await ocrJobQueue.start(); // Resume any queued OCR jobs left over from a previous run
 
   // Health check
   app.get('/', (req, res) => {
@@ -109,6 +150,8 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('SIGINT received. Shutting down gracefully...');
+  ocrJobQueue?.stop();
+  await ocrProviders.close();
   if (mongoose.connection.readyState === 1) {
     await mongoose.disconnect();
     console.log('MongoDB connection closed.');
@@ -118,6 +161,8 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  ocrJobQueue?.stop();
+  await ocrProviders.close();
   if (mongoose.connection.readyState === 1) {
     await mongoose.disconnect();
     console.log('MongoDB connection closed.');
@@ -0,0 +1,56 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
+import { hashToken, authError } from './authTokens.js';
+
+const KEY_PREFIX = 'wocr_';
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000; // Don't write lastUsedAt on every request of a busy script
+
+// Create a key for a user. Resolves to { apiKey, key } where `key` is the only copy of the secret.
+export async function createApiKey(user, { name, scopes, expiresAt }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    userId: user._id,
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashToken(key),
+  });
+  return { apiKey, key };
+}
+
+// API key sent with a request, from `Authorization: ApiKey <key>` or `X-API-Key: <key>`
+export function apiKeyFromRequest(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('ApiKey ')) {
+    return authHeader.slice('ApiKey '.length).trim();
+  }
+  const header = req.headers['x-api-key'];
+  return typeof header === 'string' && header.trim() ? header.trim() : null;
+}
+
+// Look up a key and its owner. Throws errors named InvalidApiKeyError, UserNotFoundError or
+// AccountDisabledError, in the same style as verifyAccessToken.
+export async function verifyApiKey(key, { ip } = {}) {
+  const apiKey = key && key.startsWith(KEY_PREFIX) ? await ApiKey.findOne({ keyHash: hashToken(key) }) : null;
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    throw authError('InvalidApiKeyError', 'API key is invalid, expired or revoked');
+  }
+
+  const user = await User.findById(apiKey.userId).select('-password');
+  if (!user) {
+    throw authError('UserNotFoundError', 'User not found');
+  }
+  if (user.isDisabled || !user.isVerified) {
+    throw authError('AccountDisabledError', 'Account is disabled');
+  }
+
+  // Record usage without holding up the request
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_WRITE_INTERVAL_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } })
+      .catch(err => console.error(`[API Keys] Could not record use of key ${apiKey.prefix}:`, err.message));
+  }
+  return { user, apiKey };
+}
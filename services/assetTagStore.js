@@ -0,0 +1,190 @@
+// Saves scanned tags to `asset_tags`, applying the duplicate policy when the same
+// assetTag + region has been saved before in the same organization (by anyone, in any session):
+//   skip  - don't save; report the existing tag
+//   merge - don't save; bump the existing tag's scanCount and lastSeenAt
+//   flag  - save, marked isDuplicate with duplicateOf pointing at the existing tag
+//
+// The original scan of each orgId + assetTag + region carries `isOriginal: true`, backed by a
+// unique partial index, so two scans saved at the same moment (parallel batch images, two
+// technicians) can't both become the original: the loser gets a duplicate key error and is
+// handled by the policy like any later scan.
+//
+// `sessionIds` lists every inventory session a tag was scanned in: the session of the scan
+// that saved it (also kept as `sessionId`) plus those of rescans skipped or merged into it,
+// so a session's summary, export and reconciliation include tags first scanned earlier.
+// `sightings` records each of those session scans ({ sessionId, userId, userEmail, seenAt }),
+// so a session summary counts its own scans and scanners rather than the tag's lifetime ones.
+export const DUPLICATE_POLICIES = ['skip', 'merge', 'flag'];
+export const DEFAULT_DUPLICATE_POLICY = 'flag';
+
+export function resolveDuplicatePolicy(requested, fallback = DEFAULT_DUPLICATE_POLICY) {
+  const policy = typeof requested === 'string' ? requested.trim().toLowerCase() : '';
+  return DUPLICATE_POLICIES.includes(policy) ? policy : fallback;
+}
+
+function isDuplicateKeyError(err) {
+  return err && err.code === 11000;
+}
+
+function sightingOf(doc) {
+  return { sessionId: doc.sessionId, userId: doc.userId, userEmail: doc.userEmail, seenAt: doc.scannedAt };
+}
+
+function unwrap(result) {
+  return result?.value !== undefined ? result.value : result; // Accommodate older driver result formats
+}
+
+export function createAssetTagStore(db, { duplicatePolicy = DEFAULT_DUPLICATE_POLICY } = {}) {
+  const AssetTags = db.collection('asset_tags');
+
+  // Marks the first scan of each tag saved before `isOriginal` existed, then adds the unique
+  // index. Rejected misreads and flagged duplicates are never originals.
+  async function ensureIndexes() {
+    const unmarked = AssetTags.aggregate([
+      { $match: { orgId: { $exists: true }, status: { $ne: 'rejected' }, duplicateOf: { $exists: false } } },
+      { $sort: { scannedAt: 1 } },
+      {
+        $group: {
+          _id: { orgId: '$orgId', assetTag: '$assetTag', region: '$region' },
+          firstId: { $first: '$_id' },
+          marked: { $max: { $cond: [{ $eq: ['$isOriginal', true] }, 1, 0] } },
+        },
+      },
+      { $match: { marked: 0 } },
+    ]);
+    let ops = [];
+    let backfilled = 0;
+    for await (const { firstId } of unmarked) {
+      ops.push({ updateOne: { filter: { _id: firstId }, update: { $set: { isOriginal: true } } } });
+      if (ops.length === 1000) {
+        await AssetTags.bulkWrite(ops, { ordered: false });
+        backfilled += ops.length;
+        ops = [];
+      }
+    }
+    if (ops.length) {
+      await AssetTags.bulkWrite(ops, { ordered: false });
+      backfilled += ops.length;
+    }
+    if (backfilled) {
+      console.log(`[Asset Tags] Marked ${backfilled} existing tag(s) as original scans`);
+    }
+    await AssetTags.createIndex(
+      { orgId: 1, assetTag: 1, region: 1 },
+      { name: 'original_scan', unique: true, partialFilterExpression: { isOriginal: true } }
+    );
+  }
+
+  // The original scan of this tag
+  function findOriginal(orgId, assetTag, region) {
+    return AssetTags.findOne({ orgId, assetTag, region, isOriginal: true });
+  }
+
+  // Resolves to { decision: 'new' | 'skipped' | 'merged' | 'flagged', tag, existingTagId }.
+  // `tag` is the saved document (with _id) for 'new' and 'flagged', the existing one otherwise.
+  // `doc.orgId` is required: tags of different organizations never count as duplicates.
+  async function saveTag(doc, { policy = duplicatePolicy } = {}) {
+    if (!doc.orgId) {
+      throw new Error('Asset tags must belong to an organization.');
+    }
+    const fresh = { ...doc, scanCount: 1, lastSeenAt: doc.scannedAt };
+    if (doc.sessionId) {
+      fresh.sessionIds = [doc.sessionId];
+      fresh.sightings = [sightingOf(doc)];
+    }
+
+    // A few rounds at most: the original can be deleted or rejected between our insert and lookup
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const original = { ...fresh, isOriginal: true };
+      try {
+        const result = await AssetTags.insertOne(original);
+        return { decision: 'new', tag: { ...original, _id: result.insertedId } };
+      } catch (err) {
+        if (!isDuplicateKeyError(err)) throw err;
+      }
+      const existing = await findOriginal(doc.orgId, doc.assetTag, doc.region);
+      if (existing) {
+        return saveDuplicate(doc, fresh, existing, policy);
+      }
+    }
+    throw new Error(`Could not save asset tag '${doc.assetTag}': its original scan keeps changing.`);
+  }
+
+  async function saveDuplicate(doc, fresh, existing, policy) {
+    // Nothing new is saved, but the tag was still seen in this scan's session
+    const inSession = doc.sessionId ? {
+      sessionIds: { $setUnion: [{ $ifNull: ['$sessionIds', []] }, [doc.sessionId]] },
+      sightings: { $concatArrays: [{ $ifNull: ['$sightings', []] }, { $literal: [sightingOf(doc)] }] },
+    } : {};
+
+    if (policy === 'skip') {
+      if (!doc.sessionId) {
+        return { decision: 'skipped', tag: existing, existingTagId: existing._id };
+      }
+      const result = await AssetTags.findOneAndUpdate({ _id: existing._id }, [{ $set: inSession }], { returnDocument: 'after' });
+      return { decision: 'skipped', tag: unwrap(result) || existing, existingTagId: existing._id };
+    }
+
+    if (policy === 'merge') {
+      const now = new Date();
+      const result = await AssetTags.findOneAndUpdate(
+        { _id: existing._id },
+        [{
+          $set: {
+            scanCount: { $add: [{ $ifNull: ['$scanCount', 1] }, 1] },
+            lastSeenAt: now,
+            lastSeenBy: doc.userId,
+            lastSeenByEmail: doc.userEmail,
+            ...inSession,
+          },
+        }],
+        { returnDocument: 'after' }
+      );
+      const merged = unwrap(result);
+      return { decision: 'merged', tag: merged || existing, existingTagId: existing._id };
+    }
+
+    const docToInsert = { ...fresh, isDuplicate: true, duplicateOf: existing._id };
+    const result = await AssetTags.insertOne(docToInsert);
+    return { decision: 'flagged', tag: { ...docToInsert, _id: result.insertedId }, existingTagId: existing._id };
+  }
+
+  // Apply `changes` ({ $set, $unset }) to the tag matching `query` and resolve to the updated tag
+  // (null when none matches). A new assetTag or region makes the tag the original scan of its new
+  // identity, or a flagged duplicate when that identity already has one.
+  async function updateTag(query, changes) {
+    const set = changes.$set || {};
+    if (set.assetTag === undefined && set.region === undefined) {
+      return unwrap(await AssetTags.findOneAndUpdate(query, changes, { returnDocument: 'after' }));
+    }
+    const current = await AssetTags.findOne(query);
+    if (!current) return null;
+
+    if (current.status !== 'rejected' && set.status !== 'rejected') {
+      try {
+        return unwrap(await AssetTags.findOneAndUpdate(query, {
+          ...changes,
+          $set: { ...set, isOriginal: true },
+          $unset: { ...changes.$unset, isDuplicate: '', duplicateOf: '' },
+        }, { returnDocument: 'after' }));
+      } catch (err) {
+        if (!isDuplicateKeyError(err)) throw err;
+      }
+    }
+    const existing = await findOriginal(current.orgId, set.assetTag ?? current.assetTag, set.region ?? current.region);
+    const isOther = existing && String(existing._id) !== String(current._id);
+    return unwrap(await AssetTags.findOneAndUpdate(query, {
+      ...changes,
+      $set: isOther ? { ...set, isDuplicate: true, duplicateOf: existing._id } : set,
+      $unset: isOther ? { ...changes.$unset, isOriginal: '' } : { ...changes.$unset, isOriginal: '', isDuplicate: '', duplicateOf: '' },
+    }, { returnDocument: 'after' }));
+  }
+
+  // Tags of an organization that still count (not deleted, not rejected) out of a list of ids
+  function findActiveByIds(ids, orgId) {
+    if (!ids || ids.length === 0) return Promise.resolve([]);
+    return AssetTags.find({ _id: { $in: ids }, orgId, status: { $ne: 'rejected' } }).toArray();
+  }
+
+  return { ensureIndexes, saveTag, updateTag, findActiveByIds };
+}
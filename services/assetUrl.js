@@ -0,0 +1,19 @@
+import { checkAssetTag, tagFormatFor } from './tagFormat.js';
+
+// Helper function to generate the asset URL from a region document (see services/regions.js).
+// The tag is normalized with the region's tag format first; check digits are not verified
+// here, so a tag flagged for a failed checksum still gets a link for review.
+export function generateAssetUrl(assetTagString, region) {
+  if (!assetTagString || typeof assetTagString !== 'string' || !region) {
+    return null;
+  }
+  const { assetTag, formatValid } = checkAssetTag(assetTagString, tagFormatFor(region));
+  if (!formatValid) {
+    return null;
+  }
+
+  const paddedTag = assetTag.padStart(region.padWidth || 0, '0');
+  return region.urlTemplate
+    .replace(/\{assetNo\}/g, encodeURIComponent(paddedTag))
+    .replace(/\{assetTag\}/g, encodeURIComponent(assetTag));
+}
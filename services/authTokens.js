@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+
+// Short-lived JWT access tokens paired with rotating refresh tokens stored server-side.
+//
+// Access token payload: { id, email, sid, tv }
+//   sid - session the token belongs to; revoking the session (logout) invalidates it
+//   tv  - the user's tokenVersion when issued; "log out all devices" bumps the version
+//
+// Refresh tokens are random strings; only their hash is stored (models/RefreshToken.js).
+// Each refresh revokes the presented token and issues a new one in the same session. Presenting
+// an already-rotated token means it was copied, so the whole session is revoked.
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+function accessTokenTtl() {
+  return process.env.JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_TTL;
+}
+
+function refreshTokenTtlMs() {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Random token for an emailed link (password reset, email confirmation). The caller stores
+// `tokenHash` and `expiresAt`; only the email carries `token` itself.
+export function createOneTimeToken(ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + ttlMs) };
+}
+
+// Errors thrown by the token checks, told apart by name like jsonwebtoken's
+export function authError(name, message) {
+  const err = new Error(message);
+  err.name = name;
+  return err;
+}
+
+function signAccessToken(user, sessionId) {
+  const payload = { id: user.id || String(user._id), email: user.email, sid: sessionId, tv: user.tokenVersion || 0 };
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: accessTokenTtl() });
+}
+
+async function storeRefreshToken(user, sessionId, meta = {}) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + refreshTokenTtlMs());
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    sessionId,
+    expiresAt,
+    userAgent: meta.userAgent,
+    ip: meta.ip,
+  });
+  return { refreshToken, refreshTokenExpiresAt: expiresAt };
+}
+
+// Start a new session for a user who just logged in.
+// Resolves to { token, refreshToken, refreshTokenExpiresAt, sessionId }.
+export async function createSession(user, meta) {
+  const sessionId = crypto.randomUUID();
+  const refresh = await storeRefreshToken(user, sessionId, meta);
+  return { token: signAccessToken(user, sessionId), ...refresh, sessionId };
+}
+
+// Session a refresh token belongs to (even if revoked or expired), or null if unknown
+export async function sessionForRefreshToken(refreshToken) {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }).select('sessionId');
+  return stored ? stored.sessionId : null;
+}
+
+export async function revokeSession(sessionId, reason = 'logout') {
+  const result = await RefreshToken.updateMany({ sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+}
+
+// Revoke every session of a user and invalidate all of their outstanding access tokens
+export async function revokeAllSessions(userId, reason = 'logout-all') {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  const result = await RefreshToken.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+}
+
+// Exchange a refresh token for a new access token and refresh token.
+// Resolves to { token, refreshToken, refreshTokenExpiresAt, sessionId }.
+export async function rotateRefreshToken(refreshToken, meta) {
+  if (typeof refreshToken !== 'string' || refreshToken === '') {
+    throw authError('InvalidRefreshTokenError', 'Refresh token is required');
+  }
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored || stored.expiresAt <= new Date()) {
+    throw authError('InvalidRefreshTokenError', 'Refresh token is invalid or has expired');
+  }
+
+  if (stored.revokedAt) {
+    if (stored.revokedReason === 'rotated') {
+      // A rotated token coming back means someone else has a copy of it
+      console.warn(`[Auth] Refresh token reuse detected for user ${stored.userId}; revoking session ${stored.sessionId}`);
+      await revokeSession(stored.sessionId, 'reuse');
+    }
+    throw authError('InvalidRefreshTokenError', 'Refresh token has been revoked');
+  }
+
+  const user = await User.findById(stored.userId);
+  if (!user || user.isDisabled || !user.isVerified) {
+    await revokeSession(stored.sessionId, 'account-inactive');
+    throw authError('InvalidRefreshTokenError', 'Account is not active');
+  }
+
+  // The replacement is stored before the old token is revoked so the session never looks
+  // logged out in between (access tokens are checked against it on every request)
+  const refresh = await storeRefreshToken(user, stored.sessionId, meta);
+  // Claim the old token atomically so two concurrent refreshes can't both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+  );
+  if (!claimed) {
+    await RefreshToken.deleteOne({ tokenHash: hashToken(refresh.refreshToken) });
+    throw authError('InvalidRefreshTokenError', 'Refresh token has been revoked');
+  }
+  return { token: signAccessToken(user, stored.sessionId), ...refresh, sessionId: stored.sessionId };
+}
+
+// Verify an access token and load its user (without the password).
+// Throws jsonwebtoken's errors, or one named TokenRevokedError, UserNotFoundError or AccountDisabledError.
+export async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    throw authError('UserNotFoundError', 'User not found');
+  }
+  if (user.isDisabled) {
+    throw authError('AccountDisabledError', 'Account is disabled');
+  }
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    throw authError('TokenRevokedError', 'Token has been revoked');
+  }
+  // Tokens issued before sessions existed carry no sid; they simply run until they expire
+  if (decoded.sid && !(await RefreshToken.exists({ sessionId: decoded.sid, revokedAt: null }))) {
+    throw authError('TokenRevokedError', 'Session has been logged out');
+  }
+  return { user, decoded };
+}
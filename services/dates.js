@@ -0,0 +1,76 @@
+// Date query parameters shared by the listing, export and report routes.
+
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const formatters = new Map();
+
+// True for IANA zone names the runtime knows, e.g. 'America/Chicago' or 'UTC'
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Milliseconds the zone is ahead of UTC at `instant` (negative west of UTC; DST included)
+function zoneOffset(instant, timeZone) {
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(instant).map(part => [part.type, part.value]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// The instant `year-month-day` starts in `timeZone`: local midnight, or its first occurrence when
+// the clocks were turned back across it. Where DST starts at midnight (e.g. America/Santiago)
+// midnight never happens, and the day starts the moment the clocks jump forward.
+function startOfZonedDay(year, month, day, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day);
+  const before = zoneOffset(new Date(wallClock - DAY_MS), timeZone);
+  const after = zoneOffset(new Date(wallClock + DAY_MS), timeZone);
+  // Midnight under either offset, earliest first
+  const candidates = [wallClock - Math.max(before, after), wallClock - Math.min(before, after)];
+  const midnight = candidates.find(instant => instant + zoneOffset(new Date(instant), timeZone) === wallClock);
+  if (midnight !== undefined) return new Date(midnight);
+
+  // Skipped: find the jump, to the second, between the instants on either side of it
+  let [skipped, started] = candidates;
+  while (started - skipped > 1000) {
+    const middle = skipped + Math.floor((started - skipped) / 2000) * 1000;
+    if (zoneOffset(new Date(middle), timeZone) === after) started = middle;
+    else skipped = middle;
+  }
+  return new Date(started);
+}
+
+// 'YYYY-MM-DD' covers the whole day in `timeZone` (UTC unless given), so a day is 23 or 25
+// hours long across DST changes; full ISO timestamps are used as given.
+// Returns null when the value is missing and undefined when it can't be parsed.
+export function parseDateParam(value, { endOfDay = false, timeZone = 'UTC' } = {}) {
+  if (!value) return null;
+  const text = String(value);
+  const day = DAY_PATTERN.exec(text);
+  if (!day) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? undefined : date;
+  }
+  const [year, month, date] = day.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, date));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== date) return undefined; // e.g. 2026-02-30
+  if (!endOfDay) return startOfZonedDay(year, month, date, timeZone);
+  // The last millisecond before the next local day starts
+  return new Date(startOfZonedDay(year, month, date + 1, timeZone).getTime() - 1);
+}
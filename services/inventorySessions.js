@@ -0,0 +1,169 @@
+import mongoose from 'mongoose';
+
+const SESSIONS_COLLECTION = 'inventory_sessions';
+
+// Inventory sessions group scans into a named walkthrough, e.g. "Spring 2026 audit of Building A".
+// A session is created 'planned', scans are only accepted while it is 'active', and closing it
+// stores a summary of what was covered. Tags link to it through `sessionIds` (see assetTagStore),
+// which also holds the sessions of rescans merged into or skipped in favour of an existing tag.
+//
+// Session document:
+//   { orgId, name, description, region, status: 'planned' | 'active' | 'closed',
+//     createdBy, createdByEmail, createdAt, startedAt, startedBy, closedAt, closedBy, summary }
+export const SESSION_STATUSES = ['planned', 'active', 'closed'];
+
+export function createInventorySessionStore(db) {
+  const Sessions = db.collection(SESSIONS_COLLECTION);
+  const AssetTags = db.collection('asset_tags');
+
+  // Tags saved before `sessionIds` existed only have `sessionId`; copy it over
+  async function ensureIndexes() {
+    await Sessions.createIndex({ orgId: 1, status: 1, createdAt: -1 });
+    const { modifiedCount } = await AssetTags.updateMany(
+      { sessionId: { $exists: true }, $expr: { $not: { $in: ['$sessionId', { $ifNull: ['$sessionIds', []] }] } } },
+      [{ $set: { sessionIds: { $setUnion: [{ $ifNull: ['$sessionIds', []] }, ['$sessionId']] } } }]
+    );
+    if (modifiedCount) {
+      console.log(`[Inventory Sessions] Linked ${modifiedCount} existing tag(s) through sessionIds`);
+    }
+    await AssetTags.dropIndex('sessionId_1_scannedAt_1').catch(() => {}); // Replaced by the sessionIds index
+    await AssetTags.createIndex({ sessionIds: 1, scannedAt: 1 });
+  }
+
+  async function create({ orgId, name, description, region, user }) {
+    const session = {
+      orgId,
+      name,
+      status: 'planned',
+      createdBy: user._id,
+      createdByEmail: user.email,
+      createdAt: new Date(),
+    };
+    if (description) session.description = description;
+    if (region) session.region = region;
+    const { insertedId } = await Sessions.insertOne(session);
+    return { ...session, _id: insertedId };
+  }
+
+  function list(orgId, { status } = {}) {
+    const query = { orgId };
+    if (status) query.status = status;
+    return Sessions.find(query).sort({ createdAt: -1 }).toArray();
+  }
+
+  // Throws BSONError for a malformed id, like the tag routes' ObjectId parsing
+  function get(orgId, id) {
+    return Sessions.findOne({ _id: new mongoose.Types.ObjectId(id), orgId });
+  }
+
+  // Move a session from one status to the next. Resolves to the updated session, or null when
+  // it was not in the `from` status (already started/closed, or changed concurrently).
+  async function transition(orgId, id, from, to, user) {
+    const now = new Date();
+    const stamp = to === 'active' ? { startedAt: now, startedBy: user._id } : { closedAt: now, closedBy: user._id };
+    const result = await Sessions.findOneAndUpdate(
+      { _id: new mongoose.Types.ObjectId(id), orgId, status: from },
+      { $set: { status: to, ...stamp } },
+      { returnDocument: 'after' }
+    );
+    return result?.value !== undefined ? result.value : result; // Accommodate older driver result formats
+  }
+
+  function start(orgId, id, user) {
+    return transition(orgId, id, 'planned', 'active', user);
+  }
+
+  // Close the session first so no new scans join it, then store the summary of what it covered
+  async function close(orgId, id, user) {
+    const closed = await transition(orgId, id, 'active', 'closed', user);
+    if (!closed) return null;
+    const summary = await summarize(closed);
+    await Sessions.updateOne({ _id: closed._id }, { $set: { summary } });
+    return { ...closed, summary };
+  }
+
+  // Rooms covered, tag counts and users involved. Rejected misreads don't count. Scans and users
+  // come from the tags' sightings in this session (see assetTagStore), so rescans merged into or
+  // skipped in favour of an earlier tag count here, and scans from other sessions don't. Tags saved
+  // before sightings were recorded count as one scan by the user who saved them.
+  async function summarize(session) {
+    const [facets] = await AssetTags.aggregate([
+      { $match: { orgId: session.orgId, sessionIds: session._id, status: { $ne: 'rejected' } } },
+      {
+        $addFields: {
+          seen: { $filter: { input: { $ifNull: ['$sightings', []] }, cond: { $eq: ['$$this.sessionId', session._id] } } },
+        },
+      },
+      {
+        $addFields: {
+          seen: {
+            $cond: [
+              { $gt: [{ $size: '$seen' }, 0] },
+              '$seen',
+              [{ userId: '$userId', userEmail: '$userEmail', seenAt: '$scannedAt' }],
+            ],
+          },
+        },
+      },
+      {
+        $facet: {
+          totals: [{
+            $group: {
+              _id: null,
+              tags: { $sum: 1 },
+              scans: { $sum: { $size: '$seen' } },
+              needsReview: { $sum: { $cond: [{ $eq: ['$status', 'needsReview'] }, 1, 0] } },
+              duplicates: { $sum: { $cond: [{ $eq: ['$isDuplicate', true] }, 1, 0] } },
+              firstScanAt: { $min: { $min: '$seen.seenAt' } },
+              lastScanAt: { $max: { $max: '$seen.seenAt' } },
+            },
+          }],
+          rooms: [
+            { $group: { _id: { $ifNull: ['$roomNumber', null] }, tags: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, roomNumber: '$_id', tags: 1 } },
+          ],
+          users: [
+            { $unwind: '$seen' },
+            { $group: { _id: '$seen.userId', userEmail: { $first: '$seen.userEmail' }, tagIds: { $addToSet: '$_id' }, scans: { $sum: 1 } } },
+            { $project: { _id: 0, userId: '$_id', userEmail: 1, tags: { $size: '$tagIds' }, scans: 1 } },
+            { $sort: { tags: -1, scans: -1 } },
+          ],
+        },
+      },
+    ]).toArray();
+
+    const totals = facets?.totals[0] || {};
+    const rooms = facets?.rooms || [];
+    return {
+      totalTags: totals.tags || 0,
+      totalScans: totals.scans || 0, // This session's scans, including rescans of earlier tags
+      needsReview: totals.needsReview || 0,
+      flaggedDuplicates: totals.duplicates || 0,
+      roomsCovered: rooms.filter(room => room.roomNumber).length,
+      rooms,
+      users: facets?.users || [],
+      firstScanAt: totals.firstScanAt || null,
+      lastScanAt: totals.lastScanAt || null,
+      generatedAt: new Date(),
+    };
+  }
+
+  // Session a scan should be linked to. Resolves to { session } or { error, status } when the id
+  // is malformed, belongs to another organization, or the session isn't active.
+  async function resolveForScan(orgId, sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return { status: 400, error: `Invalid sessionId '${sessionId}'.` };
+    }
+    const session = await get(orgId, sessionId);
+    if (!session) {
+      return { status: 404, error: 'Inventory session not found.' };
+    }
+    if (session.status !== 'active') {
+      return { status: 409, error: `Inventory session '${session.name}' is ${session.status}; scans can only be added while it is active.` };
+    }
+    return { session };
+  }
+
+  return { ensureIndexes, create, list, get, start, close, summarize, resolveForScan };
+}
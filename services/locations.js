@@ -0,0 +1,211 @@
+import mongoose from 'mongoose';
+
+const LOCATIONS_COLLECTION = 'locations';
+
+// Where assets live, per organization: site > building > floor > room. A location may sit
+// directly under any higher level (e.g. a room straight under a building with no floors).
+//
+// Location document:
+//   { orgId, type, name, parentId, path: [ancestor ids..., own id], aliases, matchKeys, createdAt, updatedAt }
+// Tags store `locationId` and `locationPath` (the location's `path`), so filtering on any
+// level is a single `locationPath: id` match. `matchKeys` are the normalized name and aliases
+// used to recognize free-text room numbers ("Rm 101", "101 ").
+export const LOCATION_TYPES = ['site', 'building', 'floor', 'room'];
+
+// Rooms are compared loosely: "Rm 101", "room 101" and " 101 " are the same room
+export function normalizeRoom(room) {
+  if (room === null || room === undefined) return '';
+  return String(room).trim().toUpperCase().replace(/^(ROOM|RM\.?)\s*/, '').replace(/\s+/g, ' ');
+}
+
+// Case-insensitive pattern for the free-text spellings normalizeRoom treats as `room`, so
+// filtering on "101" also finds tags typed as "Rm 101" or "room 101"
+export function roomNumberPattern(room) {
+  const key = normalizeRoom(room).split(' ').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+');
+  return new RegExp(`^\\s*((ROOM|RM\\.?)\\s*)?${key}\\s*$`, 'i');
+}
+
+function matchKeysFor(name, aliases = []) {
+  return [...new Set([name, ...aliases].map(normalizeRoom).filter(Boolean))];
+}
+
+// Validate a location from the admin API. Returns { location, errors }; with `partial` only the
+// given fields are checked (type and parent can't change after creation).
+export function validateLocationInput(body = {}, { partial = false } = {}) {
+  const errors = [];
+  const location = {};
+
+  if (!partial || body.type !== undefined) {
+    if (!LOCATION_TYPES.includes(body.type)) errors.push(`type must be one of: ${LOCATION_TYPES.join(', ')}.`);
+    else location.type = body.type;
+  }
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim() === '' || body.name.trim().length > 100) {
+      errors.push('name must be a non-empty string of at most 100 characters.');
+    } else {
+      location.name = body.name.trim();
+    }
+  }
+  if (body.aliases !== undefined) {
+    if (!Array.isArray(body.aliases) || !body.aliases.every(alias => typeof alias === 'string' && alias.trim())) {
+      errors.push('aliases must be an array of non-empty strings.');
+    } else {
+      location.aliases = [...new Set(body.aliases.map(alias => alias.trim()))];
+    }
+  }
+  if (!partial && body.parentId !== undefined && body.parentId !== null) {
+    if (!mongoose.isValidObjectId(body.parentId)) errors.push('parentId must be a location ID.');
+    else location.parentId = new mongoose.Types.ObjectId(body.parentId);
+  }
+  return { location, errors };
+}
+
+// Fields a tag stores for its location
+export function tagLocationFields(location) {
+  return { locationId: location._id, locationPath: location.path };
+}
+
+export function createLocationStore(db) {
+  const Locations = db.collection(LOCATIONS_COLLECTION);
+  const AssetTags = db.collection('asset_tags');
+
+  async function ensureIndexes() {
+    await Locations.createIndex({ orgId: 1, parentId: 1, name: 1 });
+    await Locations.createIndex({ orgId: 1, type: 1, matchKeys: 1 });
+    await AssetTags.createIndex({ orgId: 1, locationPath: 1, scannedAt: -1 });
+  }
+
+  function list(orgId, { type, parentId } = {}) {
+    const query = { orgId };
+    if (type) query.type = type;
+    if (parentId !== undefined) query.parentId = parentId;
+    return Locations.find(query).sort({ name: 1 }).toArray();
+  }
+
+  // Throws BSONError for a malformed id, like the tag routes' ObjectId parsing
+  function get(orgId, id) {
+    return Locations.findOne({ _id: new mongoose.Types.ObjectId(id), orgId });
+  }
+
+  // Resolves to { location } or { status, error } (bad parent, or a name already used under it)
+  async function create(orgId, { type, name, parentId, aliases = [] }) {
+    let parent = null;
+    if (parentId) {
+      parent = await Locations.findOne({ _id: parentId, orgId });
+      if (!parent) {
+        return { status: 400, error: 'Parent location not found.' };
+      }
+      if (LOCATION_TYPES.indexOf(parent.type) >= LOCATION_TYPES.indexOf(type)) {
+        return { status: 400, error: `A ${type} cannot be placed inside a ${parent.type}.` };
+      }
+    } else if (type !== 'site') {
+      return { status: 400, error: `A ${type} needs a parentId.` };
+    }
+    if (await Locations.findOne({ orgId, parentId: parent ? parent._id : null, name })) {
+      return { status: 409, error: `'${name}' already exists here.` };
+    }
+
+    const now = new Date();
+    const _id = new mongoose.Types.ObjectId();
+    const location = {
+      _id,
+      orgId,
+      type,
+      name,
+      parentId: parent ? parent._id : null,
+      path: [...(parent ? parent.path : []), _id],
+      aliases,
+      matchKeys: matchKeysFor(name, aliases),
+      createdAt: now,
+      updatedAt: now,
+    };
+    await Locations.insertOne(location);
+    return { location };
+  }
+
+  async function update(orgId, id, changes) {
+    const existing = await get(orgId, id);
+    if (!existing) return null;
+    const name = changes.name ?? existing.name;
+    const aliases = changes.aliases ?? existing.aliases ?? [];
+    const result = await Locations.findOneAndUpdate(
+      { _id: existing._id, orgId },
+      { $set: { name, aliases, matchKeys: matchKeysFor(name, aliases), updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    return result?.value !== undefined ? result.value : result; // Accommodate older driver result formats
+  }
+
+  // Resolves to { removed } or { status, error } when the location is still in use
+  async function remove(orgId, id) {
+    const existing = await get(orgId, id);
+    if (!existing) return { status: 404, error: 'Location not found.' };
+    const [children, tags] = await Promise.all([
+      Locations.countDocuments({ orgId, parentId: existing._id }),
+      AssetTags.countDocuments({ orgId, locationId: existing._id }),
+    ]);
+    if (children > 0 || tags > 0) {
+      return { status: 409, error: `Location still has ${children} child location(s) and ${tags} asset tag(s).` };
+    }
+    await Locations.deleteOne({ _id: existing._id, orgId });
+    return { removed: existing };
+  }
+
+  // The one room whose name or alias matches free text, or null when none (or several) do
+  async function resolveRoom(orgId, text) {
+    const key = normalizeRoom(text);
+    if (!key) return null;
+    const rooms = await Locations.find({ orgId, type: 'room', matchKeys: key }).limit(2).toArray();
+    return rooms.length === 1 ? rooms[0] : null;
+  }
+
+  // Query clause for tags in any of `roomNumbers`: any free-text spelling of them, or linked to a
+  // room whose name or alias matches one
+  async function roomNumberFilter(orgId, roomNumbers) {
+    const keys = [...new Set(roomNumbers.map(normalizeRoom).filter(Boolean))];
+    const rooms = await Locations.find({ orgId, type: 'room', matchKeys: { $in: keys } }, { projection: { _id: 1 } }).toArray();
+    const clauses = [{ roomNumber: { $in: keys.map(roomNumberPattern) } }];
+    if (rooms.length) clauses.push({ locationId: { $in: rooms.map(room => room._id) } });
+    return { $or: clauses };
+  }
+
+  // Link the organization's tags that only have a free-text roomNumber to matching rooms.
+  // Resolves to { matched, unmatched: [{ roomNumber, tags }] }. Ambiguous values stay unmatched.
+  async function matchRoomNumbers(orgId) {
+    const values = await AssetTags.aggregate([
+      { $match: { orgId, locationId: { $exists: false }, roomNumber: { $nin: [null, ''] } } },
+      { $group: { _id: '$roomNumber', tags: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ]).toArray();
+
+    let matched = 0;
+    const unmatched = [];
+    for (const { _id: roomNumber, tags } of values) {
+      const room = await resolveRoom(orgId, roomNumber);
+      if (!room) {
+        unmatched.push({ roomNumber, tags });
+        continue;
+      }
+      const result = await AssetTags.updateMany(
+        { orgId, roomNumber, locationId: { $exists: false } },
+        { $set: tagLocationFields(room) }
+      );
+      matched += result.modifiedCount;
+    }
+    return { matched, unmatched };
+  }
+
+  // Nest a flat list into { ...location, children: [...] } trees, one per site
+  function toTree(locations) {
+    const byId = new Map(locations.map(location => [String(location._id), { ...location, children: [] }]));
+    const roots = [];
+    for (const node of byId.values()) {
+      const parent = node.parentId && byId.get(String(node.parentId));
+      if (parent) parent.children.push(node);
+      else roots.push(node);
+    }
+    return roots;
+  }
+
+  return { ensureIndexes, list, get, create, update, remove, resolveRoom, roomNumberFilter, matchRoomNumbers, toTree };
+}
@@ -0,0 +1,69 @@
+import os from 'os';
+import path from 'path';
+import createSmtpTransport from './transports/smtpTransport.js';
+import createFileTransport from './transports/fileTransport.js';
+import createConsoleTransport from './transports/consoleTransport.js';
+
+export { createSmtpTransport, createFileTransport, createConsoleTransport };
+
+// Every transport implements:
+//   { name, from, send({ to, subject, text, html }) -> Promise<{ messageId }>, close?() }
+//
+// MAIL_TRANSPORT picks the implementation: 'smtp', 'file' or 'console'. Console is the default
+// only outside production: it prints reset and confirmation links, which must not end up in
+// production logs, so there MAIL_TRANSPORT has to be set.
+export function buildMailTransport(env) {
+  const from = env.MAIL_FROM || 'Web OCR <no-reply@localhost>';
+  const production = env.NODE_ENV === 'production';
+  if (!env.MAIL_TRANSPORT && production) {
+    throw new Error('MAIL_TRANSPORT must be set in production (smtp or file).');
+  }
+  const kind = (env.MAIL_TRANSPORT || 'console').trim().toLowerCase();
+
+  if (kind === 'smtp') {
+    if (!env.SMTP_HOST) {
+      throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST.');
+    }
+    return createSmtpTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from,
+    });
+  }
+  if (kind === 'file') {
+    return createFileTransport({ directory: env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'web-ocr-mail'), from });
+  }
+  if (kind !== 'console') {
+    if (production) {
+      throw new Error(`Unknown MAIL_TRANSPORT '${kind}'. Use smtp, file or console.`);
+    }
+    console.warn(`[Mail] Unknown MAIL_TRANSPORT '${kind}'; printing mail to the console instead.`);
+  }
+  return createConsoleTransport({ from });
+}
+
+let mailTransport = null;
+
+// Shared transport built from process.env on first use (server.js builds it at startup, so a
+// bad configuration stops the server instead of the first email)
+export function getMailTransport() {
+  if (!mailTransport) {
+    mailTransport = buildMailTransport(process.env);
+  }
+  return mailTransport;
+}
+
+// Send without failing the caller: mail problems are logged, and the request that triggered
+// the message still succeeds. Resolves to true when the transport accepted the message.
+export async function sendMail(message) {
+  try {
+    await getMailTransport().send(message);
+    return true;
+  } catch (err) {
+    console.error(`[Mail] Failed to send '${message.subject}' to ${message.to}:`, err.message);
+    return false;
+  }
+}
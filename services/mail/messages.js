@@ -0,0 +1,26 @@
+// Text of the account emails. Links point at the frontend, which posts the token back to the API.
+
+function appBaseUrl() {
+  return (process.env.APP_BASE_URL || process.env.FRONTEND_ORIGIN || 'https://web-ocr-frontend-kappa.vercel.app').replace(/\/+$/, '');
+}
+
+export function passwordResetMessage({ to, token, expiresInMinutes }) {
+  const link = `${appBaseUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  return {
+    to,
+    subject: 'Reset your Web OCR password',
+    text: `Someone (hopefully you) asked to reset the password for ${to}.\n\nChoose a new password here:\n${link}\n\nThe link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email; your password has not changed.`,
+    html: `<p>Someone (hopefully you) asked to reset the password for ${to}.</p><p><a href="${link}">Choose a new password</a></p><p>The link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email; your password has not changed.</p>`,
+  };
+}
+
+export function emailVerificationMessage({ to, token, expiresInMinutes }) {
+  const link = `${appBaseUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  const hours = Math.round(expiresInMinutes / 60);
+  return {
+    to,
+    subject: 'Confirm your Web OCR email address',
+    text: `Please confirm that ${to} is your email address:\n${link}\n\nThe link expires in ${hours} hours. An administrator still needs to approve new accounts before you can log in.`,
+    html: `<p>Please confirm that ${to} is your email address:</p><p><a href="${link}">Confirm email address</a></p><p>The link expires in ${hours} hours. An administrator still needs to approve new accounts before you can log in.</p>`,
+  };
+}
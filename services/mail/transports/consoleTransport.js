@@ -0,0 +1,12 @@
+// Prints each message to the server log instead of sending it (the default when no transport
+// is configured, so links such as password resets can still be followed in development).
+export default function createConsoleTransport({ from }) {
+  return {
+    name: 'console',
+    from,
+    async send({ to, subject, text }) {
+      console.log(`[Mail] To: ${to}\n[Mail] Subject: ${subject}\n${text}`);
+      return { messageId: null };
+    },
+  };
+}
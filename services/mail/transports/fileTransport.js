@@ -0,0 +1,25 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Writes each message as an .eml file instead of sending it, for local development and tests.
+// Open the files with any mail client, or read the links straight out of them.
+export default function createFileTransport({ directory, from }) {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+    from,
+    directory,
+    async send({ to, subject, text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      await fs.mkdir(directory, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      const filePath = path.join(directory, fileName);
+      await fs.writeFile(filePath, info.message);
+      console.log(`[Mail] Wrote '${subject}' for ${to} to ${filePath}`);
+      return { messageId: info.messageId, filePath };
+    },
+  };
+}
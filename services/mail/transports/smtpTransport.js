@@ -0,0 +1,23 @@
+import nodemailer from 'nodemailer';
+
+// Sends mail through an SMTP server with nodemailer.
+export default function createSmtpTransport({ host, port = 587, secure = false, user, pass, from }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure, // true for port 465, false for STARTTLS on 587
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    from,
+    async send({ to, subject, text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { messageId: info.messageId };
+    },
+    async close() {
+      transporter.close();
+    },
+  };
+}
@@ -0,0 +1,238 @@
+import crypto from 'crypto';
+import { normalizeAssetTag, tagFormatFor } from './tagFormat.js';
+import { normalizeRegionCode } from './regions.js';
+import { createLocationStore, normalizeRoom } from './locations.js';
+
+const MASTER_ASSETS_COLLECTION = 'master_assets';
+export const MAX_IMPORT_ROWS = 50000;
+export const IMPORT_MODES = ['merge', 'replace'];
+
+// The official asset register ("master list") of an organization, imported from the district's
+// CSV/XLSX export and compared against what was actually scanned.
+//
+// Master asset document:
+//   { orgId, region, assetNumber, expectedRoom, description, importId, importedAt, importedBy, createdAt, updatedAt }
+// `assetNumber` is normalized with the region's tag format so it matches `asset_tags.assetTag`.
+
+// Accepted spellings of each column, compared without case, spaces or punctuation
+const COLUMN_ALIASES = {
+  assetNumber: ['assetnumber', 'assetno', 'assetnum', 'assettag', 'tag', 'tagnumber', 'asset'],
+  region: ['region', 'regioncode', 'site'],
+  expectedRoom: ['expectedroom', 'room', 'roomnumber', 'roomno', 'location'],
+  description: ['description', 'desc', 'item', 'itemdescription', 'name'],
+};
+
+function columnKey(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Map each field to the header used for it in this file, e.g. { assetNumber: 'Asset No.' }
+export function detectColumns(headers) {
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const header = headers.find(candidate => aliases.includes(columnKey(candidate)));
+    if (header) columns[field] = header;
+  }
+  return columns;
+}
+
+// Turn spreadsheet rows into master asset records. `regions` maps region code -> region doc
+// (the configured ones); rows without a region column use `defaultRegion`.
+// Returns { assets, errors } where errors are { row, message } for rows that were skipped.
+export function buildMasterAssets(rows, { regions, defaultRegion }) {
+  const errors = [];
+  const assets = [];
+  if (rows.length === 0) {
+    return { assets, errors: [{ row: null, message: 'The file has no data rows.' }] };
+  }
+  const columns = detectColumns(Object.keys(rows[0]).filter(key => key !== '__row'));
+  if (!columns.assetNumber) {
+    return { assets, errors: [{ row: 1, message: `No asset number column found; name it one of: ${COLUMN_ALIASES.assetNumber.join(', ')}.` }] };
+  }
+
+  const seen = new Map(); // region:assetNumber -> row it was first seen on
+  for (const row of rows) {
+    const region = normalizeRegionCode(columns.region && row[columns.region]) || defaultRegion;
+    if (!region) {
+      errors.push({ row: row.__row, message: 'No region given and no default region chosen.' });
+      continue;
+    }
+    const regionDoc = regions.get(region);
+    if (!regionDoc) {
+      errors.push({ row: row.__row, message: `Unknown region '${region}'.` });
+      continue;
+    }
+    const assetNumber = normalizeAssetTag(row[columns.assetNumber], tagFormatFor(regionDoc));
+    if (!assetNumber) {
+      errors.push({ row: row.__row, message: 'Asset number is empty.' });
+      continue;
+    }
+    const key = `${region}:${assetNumber}`;
+    if (seen.has(key)) {
+      errors.push({ row: row.__row, message: `Asset ${assetNumber} (${region}) is already listed on row ${seen.get(key)}.` });
+      continue;
+    }
+    seen.set(key, row.__row);
+    assets.push({
+      region,
+      assetNumber,
+      expectedRoom: columns.expectedRoom ? row[columns.expectedRoom] || null : null,
+      description: columns.description ? row[columns.description] || null : null,
+    });
+  }
+  return { assets, errors };
+}
+
+export function createMasterAssetStore(db) {
+  const MasterAssets = db.collection(MASTER_ASSETS_COLLECTION);
+  const AssetTags = db.collection('asset_tags');
+  const locations = createLocationStore(db);
+
+  async function ensureIndexes() {
+    await MasterAssets.createIndex({ orgId: 1, region: 1, assetNumber: 1 }, { unique: true });
+    await MasterAssets.createIndex({ orgId: 1, region: 1, expectedRoom: 1 });
+  }
+
+  // Upsert the assets into the organization's register. In 'replace' mode, assets of the
+  // imported regions that the file no longer lists are removed.
+  // Resolves to { importId, inserted, updated, removed }.
+  async function importAssets(orgId, assets, { mode = 'merge', user }) {
+    const importId = crypto.randomUUID();
+    const now = new Date();
+    let inserted = 0;
+    let updated = 0;
+    // Written in chunks so a large register doesn't become one huge request
+    for (let start = 0; start < assets.length; start += 1000) {
+      const result = await MasterAssets.bulkWrite(assets.slice(start, start + 1000).map(asset => ({
+        updateOne: {
+          filter: { orgId, region: asset.region, assetNumber: asset.assetNumber },
+          update: {
+            $set: { ...asset, importId, importedAt: now, importedBy: user.email, updatedAt: now },
+            $setOnInsert: { createdAt: now },
+          },
+          upsert: true,
+        },
+      })), { ordered: false });
+      inserted += result.upsertedCount;
+      updated += result.matchedCount;
+    }
+
+    let removed = 0;
+    if (mode === 'replace') {
+      const regions = [...new Set(assets.map(asset => asset.region))];
+      const result = await MasterAssets.deleteMany({ orgId, region: { $in: regions }, importId: { $ne: importId } });
+      removed = result.deletedCount;
+    }
+    return { importId, inserted, updated, removed };
+  }
+
+  function list(orgId, { region, room, limit = 500, skip = 0 } = {}) {
+    const query = { orgId };
+    if (region) query.region = region;
+    if (room) query.expectedRoom = room;
+    return MasterAssets.find(query).sort({ region: 1, assetNumber: 1 }).skip(skip).limit(limit).toArray();
+  }
+
+  // Compare scans against the register. `scope` picks the scans: { from, to } on scannedAt
+  // and/or a sessionId; `region` limits both sides. Each register entry ends up as
+  //   found      - scanned in its expected room (or it has no expected room)
+  //   wrongRoom  - scanned, but only in other rooms
+  //   missing    - not scanned
+  // and every scanned tag the register doesn't know is reported as 'unknown'. Reads still
+  // awaiting review don't count as scans; `summary.needsReview` says how many are pending.
+  // A tag is in the expected room when its roomNumber is a spelling of it, or it is linked to
+  // the room that the expected room names.
+  async function reconcile(orgId, { from, to, sessionId, region } = {}) {
+    const tagQuery = { orgId, status: { $nin: ['rejected', 'needsReview'] } };
+    if (from || to) {
+      tagQuery.scannedAt = {};
+      if (from) tagQuery.scannedAt.$gte = from;
+      if (to) tagQuery.scannedAt.$lte = to;
+    }
+    if (sessionId) tagQuery.sessionIds = sessionId; // Includes rescans merged into earlier tags
+    if (region) tagQuery.region = region;
+
+    const assetQuery = { orgId };
+    if (region) assetQuery.region = region;
+
+    const scanned = new Map(); // region:assetTag -> { rooms, locationIds, tagIds, lastScannedAt, users }
+    const projection = { assetTag: 1, region: 1, roomNumber: 1, locationPath: 1, scannedAt: 1, lastSeenAt: 1, userEmail: 1 };
+    for await (const tag of AssetTags.find(tagQuery, { projection })) {
+      const key = `${tag.region}:${tag.assetTag}`;
+      const entry = scanned.get(key) || { region: tag.region, assetTag: tag.assetTag, rooms: new Set(), locationIds: new Set(), tagIds: [], users: new Set(), lastScannedAt: null };
+      if (tag.roomNumber) entry.rooms.add(tag.roomNumber);
+      for (const id of tag.locationPath || []) entry.locationIds.add(String(id));
+      if (tag.userEmail) entry.users.add(tag.userEmail);
+      entry.tagIds.push(tag._id);
+      const seenAt = tag.lastSeenAt || tag.scannedAt;
+      if (!entry.lastScannedAt || seenAt > entry.lastScannedAt) entry.lastScannedAt = seenAt;
+      scanned.set(key, entry);
+    }
+
+    // Expected room text -> the room it names, looked up once per distinct spelling
+    const expectedRooms = new Map();
+    async function expectedLocation(expected) {
+      if (!expectedRooms.has(expected)) expectedRooms.set(expected, await locations.resolveRoom(orgId, expected));
+      return expectedRooms.get(expected);
+    }
+
+    const items = [];
+    for await (const asset of MasterAssets.find(assetQuery).sort({ region: 1, assetNumber: 1 })) {
+      const key = `${asset.region}:${asset.assetNumber}`;
+      const scan = scanned.get(key);
+      const item = {
+        status: 'missing',
+        assetNumber: asset.assetNumber,
+        region: asset.region,
+        description: asset.description,
+        expectedRoom: asset.expectedRoom,
+        scannedRooms: [],
+        scannedBy: [],
+        lastScannedAt: null,
+        tagIds: [],
+      };
+      if (scan) {
+        scanned.delete(key);
+        const expected = normalizeRoom(asset.expectedRoom);
+        let inExpectedRoom = !expected || [...scan.rooms].some(room => normalizeRoom(room) === expected);
+        if (!inExpectedRoom && scan.locationIds.size) {
+          const room = await expectedLocation(expected);
+          inExpectedRoom = Boolean(room) && scan.locationIds.has(String(room._id));
+        }
+        Object.assign(item, {
+          status: inExpectedRoom ? 'found' : 'wrongRoom',
+          scannedRooms: [...scan.rooms],
+          scannedBy: [...scan.users],
+          lastScannedAt: scan.lastScannedAt,
+          tagIds: scan.tagIds,
+        });
+      }
+      items.push(item);
+    }
+
+    // Whatever is left was scanned but isn't on the register
+    for (const scan of scanned.values()) {
+      items.push({
+        status: 'unknown',
+        assetNumber: scan.assetTag,
+        region: scan.region,
+        description: null,
+        expectedRoom: null,
+        scannedRooms: [...scan.rooms],
+        scannedBy: [...scan.users],
+        lastScannedAt: scan.lastScannedAt,
+        tagIds: scan.tagIds,
+      });
+    }
+
+    const needsReview = await AssetTags.countDocuments({ ...tagQuery, status: 'needsReview' });
+    const summary = { registered: 0, found: 0, wrongRoom: 0, missing: 0, unknown: 0, needsReview };
+    for (const item of items) {
+      summary[item.status] += 1;
+      if (item.status !== 'unknown') summary.registered += 1;
+    }
+    return { summary, items };
+  }
+
+  return { ensureIndexes, importAssets, list, reconcile };
+}
@@ -0,0 +1,30 @@
+import { DEFAULT_TAG_FORMAT, checkAssetTag } from '../tagFormat.js';
+
+// The asset tag rules the vision prompt describes, applied in code for engines that return
+// raw text. `format` is the region's tag format; by default a 5 digit number that may carry
+// extra leading zeros.
+
+// Normalize one candidate, keeping it only if it matches the format. Check digits are not
+// verified here; failing reads are flagged or rejected when they are saved.
+export function normalizeAssetNumber(candidate, format = DEFAULT_TAG_FORMAT) {
+  if (typeof candidate !== 'string') return null;
+  const { assetTag, formatValid } = checkAssetTag(candidate, format);
+  return formatValid ? assetTag : null;
+}
+
+// Every distinct asset tag found in free text, in reading order. Whole words are tried
+// first, then the digit runs inside them (so "SN0012345" still yields "12345").
+export function findAssetNumbers(text, format = DEFAULT_TAG_FORMAT) {
+  if (!text) return [];
+  const found = [];
+  for (const word of String(text).match(/[A-Za-z0-9-]+/g) || []) {
+    let normalized = normalizeAssetNumber(word.replace(/^-+|-+$/g, ''), format);
+    if (!normalized) {
+      normalized = (word.match(/\d+/g) || []).map(run => normalizeAssetNumber(run, format)).find(Boolean);
+    }
+    if (normalized && !found.includes(normalized)) {
+      found.push(normalized);
+    }
+  }
+  return found;
+}
@@ -0,0 +1,69 @@
+import sharp from 'sharp';
+import {
+  BarcodeFormat,
+  BinaryBitmap,
+  DecodeHintType,
+  HybridBinarizer,
+  MultiFormatReader,
+  RGBLuminanceSource,
+} from '@zxing/library';
+import { DEFAULT_TAG_FORMAT, checkAssetTag } from '../tagFormat.js';
+
+// Formats seen on our asset stickers; limiting the list keeps decoding fast
+const SUPPORTED_FORMATS = [BarcodeFormat.CODE_128, BarcodeFormat.QR_CODE, BarcodeFormat.CODE_39, BarcodeFormat.DATA_MATRIX];
+const MAX_DIMENSION = 1600; // Phone photos are downscaled before decoding
+
+const hints = new Map();
+hints.set(DecodeHintType.POSSIBLE_FORMATS, SUPPORTED_FORMATS);
+hints.set(DecodeHintType.TRY_HARDER, true);
+
+// Decode a single barcode from an uploaded image buffer.
+// Resolves to { format, text } or null when nothing decodes (or the image can't be read).
+export async function decodeBarcode(buffer) {
+  let image;
+  try {
+    image = await sharp(buffer)
+      .rotate() // Respect EXIF orientation from phone cameras
+      .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  } catch (err) {
+    console.warn('[Barcode] Could not read image for barcode decoding:', err.message);
+    return null;
+  }
+
+  const { data, info } = image;
+  const luminances = new Uint8ClampedArray(data.buffer, data.byteOffset, data.length);
+  const source = new RGBLuminanceSource(luminances, info.width, info.height, info.width, info.height, 0, 0);
+  const reader = new MultiFormatReader();
+  reader.setHints(hints);
+  try {
+    const result = reader.decode(new BinaryBitmap(new HybridBinarizer(source)));
+    return { format: BarcodeFormat[result.getBarcodeFormat()], text: result.getText() };
+  } catch (err) {
+    // zxing signals "no barcode" by throwing NotFoundException (and checksum/format errors on partial reads)
+    return null;
+  }
+}
+
+// The asset tag a barcode payload encodes, or null. Unlike OCR text, the whole payload has to be
+// the tag (passing its format and check digit): stickers also carry manufacturer serial and model
+// barcodes, and a digit run inside one of those ("5CD12345XY") is not an asset number.
+export function assetTagFromBarcode(text, tagFormat = DEFAULT_TAG_FORMAT) {
+  const check = checkAssetTag(String(text ?? '').trim(), tagFormat);
+  return check.formatValid && check.checksumValid !== false ? check.assetTag : null;
+}
+
+// Decode a barcode and reduce its payload to an asset tag using the region's format rules.
+// Resolves to { assetTag, format, rawText } or null, in which case the image goes to OCR.
+export async function decodeAssetTagBarcode(buffer, tagFormat) {
+  const barcode = await decodeBarcode(buffer);
+  if (!barcode) return null;
+  const assetTag = assetTagFromBarcode(barcode.text, tagFormat);
+  if (!assetTag) {
+    console.log(`[Barcode] Decoded ${barcode.format} '${barcode.text}' but it is not an asset tag.`);
+    return null;
+  }
+  return { assetTag, format: barcode.format, rawText: barcode.text };
+}
@@ -0,0 +1,73 @@
+// Concurrency and rate limiting helpers for OCR work.
+
+// Like Promise.all(items.map(fn)) but with at most `limit` calls in flight.
+// Results keep the order of `items`, whatever order the calls finish in.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+// Limits calls to a provider: at most `maxConcurrent` in flight and, when
+// `requestsPerMinute` is set, no more than that many started in any 60s window.
+// Calls beyond either limit wait in FIFO order.
+export function createLimiter({ maxConcurrent = Infinity, requestsPerMinute = 0 } = {}) {
+  const queue = [];
+  const recentStarts = [];
+  let active = 0;
+  let timer = null;
+
+  function drain() {
+    while (queue.length && active < maxConcurrent) {
+      if (requestsPerMinute > 0) {
+        const now = Date.now();
+        while (recentStarts.length && now - recentStarts[0] >= 60000) {
+          recentStarts.shift();
+        }
+        if (recentStarts.length >= requestsPerMinute) {
+          if (!timer) {
+            timer = setTimeout(() => {
+              timer = null;
+              drain();
+            }, 60000 - (now - recentStarts[0]));
+          }
+          return;
+        }
+        recentStarts.push(now);
+      }
+
+      const { fn, resolve, reject } = queue.shift();
+      active += 1;
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          active -= 1;
+          drain();
+        });
+    }
+  }
+
+  function schedule(fn) {
+    return new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      drain();
+    });
+  }
+
+  return {
+    schedule,
+    get pending() { return queue.length; },
+    get active() { return active; },
+  };
+}
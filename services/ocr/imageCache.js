@@ -0,0 +1,91 @@
+import { hashBands, hammingDistance } from './imageHash.js';
+
+const CACHE_COLLECTION = 'ocr_image_cache';
+
+// Re-encoded, resized or recompressed copies of a photo usually hash within a few bits of it.
+// Within 3 bits a candidate always shares an indexed band (see hashBands); 4 is usually found too.
+export const DEFAULT_PHASH_MAX_DISTANCE = 4;
+
+// Remembers what was read from each uploaded image, keyed by content hash and perceptual
+// hash, so re-uploads of the same (or a near-identical) photo reuse the earlier result
+// instead of calling a provider again. Entries also track the tags saved from them.
+// Entries belong to one organization and region: a photo uploaded elsewhere is read afresh.
+// Perceptual matches are accepted up to `maxDistance` differing bits; 0 still matches copies
+// whose perceptual hash is identical, and a negative value turns perceptual matching off.
+//
+// Entry: { orgId, region, sha256, pHash, pHashBands, mode: 'single' | 'multi', result, tagIds,
+//          createdAt, hits, lastHitAt }
+export function createImageCache(db, { maxDistance = DEFAULT_PHASH_MAX_DISTANCE } = {}) {
+  const cache = db.collection(CACHE_COLLECTION);
+  let indexesReady = null;
+
+  function ensureIndexes() {
+    if (!indexesReady) {
+      indexesReady = Promise.all([
+        // The unscoped unique index from before entries had an organization would block storing
+        // the same photo for a second one
+        cache.dropIndex('sha256_1_mode_1').catch(() => {}),
+        cache.dropIndex('pHashBands_1_mode_1').catch(() => {}),
+        cache.createIndex({ orgId: 1, region: 1, sha256: 1, mode: 1 }, { unique: true }),
+        cache.createIndex({ orgId: 1, region: 1, pHashBands: 1, mode: 1 }),
+      ]).catch(err => {
+        indexesReady = null;
+        console.error('[Image Cache] Error creating indexes:', err);
+      });
+    }
+    return indexesReady;
+  }
+
+  // Resolves to { entry, match: 'exact' | 'perceptual', distance } or null.
+  async function lookup({ sha256, pHash }, mode, { orgId, region }) {
+    await ensureIndexes();
+    const exact = await cache.findOne({ orgId, region, sha256, mode });
+    let found = exact ? { entry: exact, match: 'exact', distance: 0 } : null;
+
+    if (!found && pHash && maxDistance >= 0) {
+      const candidates = await cache.find({ orgId, region, pHashBands: { $in: hashBands(pHash) }, mode }).limit(50).toArray();
+      for (const candidate of candidates) {
+        const distance = hammingDistance(pHash, candidate.pHash);
+        if (distance <= maxDistance && (!found || distance < found.distance)) {
+          found = { entry: candidate, match: 'perceptual', distance };
+        }
+      }
+    }
+
+    if (found) {
+      await cache.updateOne({ _id: found.entry._id }, { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } });
+    }
+    return found;
+  }
+
+  // Store (or fetch, if another request got there first) the entry for these hashes.
+  async function store({ sha256, pHash }, mode, { orgId, region }, result) {
+    await ensureIndexes();
+    const entry = await cache.findOneAndUpdate(
+      { orgId, region, sha256, mode },
+      {
+        $setOnInsert: {
+          orgId,
+          region,
+          sha256,
+          pHash,
+          pHashBands: pHash ? hashBands(pHash) : [],
+          mode,
+          result,
+          tagIds: [],
+          createdAt: new Date(),
+          hits: 0,
+        },
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return entry?.value !== undefined ? entry.value : entry; // Accommodate older driver result formats
+  }
+
+  async function attachTags(entryId, tagIds) {
+    if (!entryId || tagIds.length === 0) return;
+    await cache.updateOne({ _id: entryId }, { $addToSet: { tagIds: { $each: tagIds } } });
+  }
+
+  return { lookup, store, attachTags };
+}
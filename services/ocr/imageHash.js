@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+// Content hash: identical bytes only.
+export function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// 64-bit difference hash (dHash) as 16 hex chars. The image is shrunk to 9x8 greyscale and
+// each bit records whether a pixel is brighter than its right-hand neighbour, so re-encoded,
+// resized or slightly recompressed copies of a photo hash to the same or nearby values.
+export async function perceptualHash(buffer) {
+  const pixels = await sharp(buffer)
+    .rotate() // Respect EXIF orientation so a rotated copy hashes the same
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+export function hammingDistance(hexA, hexB) {
+  let diff = BigInt(`0x${hexA}`) ^ BigInt(`0x${hexB}`);
+  let distance = 0;
+  while (diff) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+// The hash split into four 16-bit bands. Two hashes within distance 3 always share at least
+// one band exactly (and slightly further ones usually do), which lets Mongo narrow
+// near-duplicate candidates with an index.
+export function hashBands(hex) {
+  return [0, 1, 2, 3].map(band => `${band}:${hex.slice(band * 4, band * 4 + 4)}`);
+}
+
+// Both hashes for an uploaded buffer; pHash is null when the image can't be decoded.
+export async function computeImageHashes(buffer) {
+  const sha256 = contentHash(buffer);
+  try {
+    return { sha256, pHash: await perceptualHash(buffer) };
+  } catch (err) {
+    console.warn('[Image Hash] Could not compute perceptual hash:', err.message);
+    return { sha256, pHash: null };
+  }
+}
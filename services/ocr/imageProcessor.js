@@ -0,0 +1,290 @@
+import crypto from 'crypto';
+import { generateAssetUrl } from '../assetUrl.js';
+import { checkAssetTag, tagFormatFor } from '../tagFormat.js';
+import { computeImageHashes } from './imageHash.js';
+
+// Reads one uploaded image and saves every valid tag it finds through the asset tag store
+// (which applies the duplicate policy), broadcasting new tags over SSE. Shared by the
+// synchronous /extract-text handler and the async job worker.
+//
+// Re-uploads are caught by image hash (within the organization and region) before any provider
+// call: if the earlier upload's tags still exist and were saved by the same user for the same
+// session, room and location, they are returned as-is; otherwise the cached read is saved again.
+//
+// `batch` describes the request the image came from:
+//   { userId, userEmail, orgId, sessionId, region, roomNumber, locationId, locationPath, captureDetail, aiModel, provider,
+//     multiTag, detail, fallback, barcode, duplicatePolicy, forceReprocess }
+//
+// processImage never throws; it resolves to { text, result, failed } where `text` is the
+// entry for the `texts` response (a string, or an array in multi-tag mode).
+export function createImageProcessor({ tagStore, imageReader, imageCache, regions, broadcastNewTag, reviewThreshold = 0.8 }) {
+  async function saveRead(file, batch, regionDoc, readResult, read, tagIndex, sourceImageId, hashes, tagResult) {
+    const tagFormat = tagFormatFor(regionDoc);
+    const check = checkAssetTag(read.assetTag, tagFormat);
+    const potentialAssetTag = check.assetTag; // Normalized per the region's format (e.g. leading zeros stripped)
+    const assetUrl = check.formatValid ? generateAssetUrl(potentialAssetTag, regionDoc) : null; // URL format comes from the region registry
+
+    if (!assetUrl) {
+      // The read doesn't match the region's tag format (e.g., "No tag found")
+      console.log(`Skipping save for invalid asset tag for region ${regionDoc.code}: '${read.assetTag}' from image '${file.originalname || 'unknown'}'`);
+      tagResult.skipReason = 'invalid';
+      return;
+    }
+    tagResult.assetTag = potentialAssetTag;
+
+    if (check.checksumValid === false) {
+      // A wrong check digit means at least one character was misread
+      tagResult.checksumValid = false;
+      if (tagFormat.onChecksumFailure === 'reject') {
+        console.log(`Skipping save for asset tag '${potentialAssetTag}' from image '${file.originalname || 'unknown'}': ${check.error}`);
+        tagResult.skipReason = 'checksum';
+        return;
+      }
+      tagResult.status = 'needsReview';
+    }
+
+    try {
+      const docToInsert = {
+        assetTag: potentialAssetTag, // Store the numeric string as captured (and trimmed)
+        assetUrl: assetUrl, // Store the generated URL
+        scannedAt: new Date(),
+        sourceImageOriginalName: file.originalname, // Optional: store original filename
+        sourceImageId: sourceImageId, // Links tags read from the same photo
+        userId: batch.userId, // Associate with the logged-in user
+        userEmail: batch.userEmail, // Store user's email for convenience
+        orgId: batch.orgId, // Organization the tag belongs to; all tag queries are scoped by it
+        region: batch.region, // Store selected region
+        aiModel: batch.aiModel, // Store which AI model was requested
+        ocrProvider: readResult.provider, // Provider that actually produced the result (may be a fallback)
+        ocrModel: readResult.model,
+        ocrAttempts: readResult.attempts, // Total calls made across retries and fallbacks
+        source: readResult.source, // 'barcode' when decoded locally, 'ocr' when read by a provider
+        status: tagResult.status, // 'needsReview' when confidence is below the review threshold
+        imageSha256: hashes.sha256, // Exact content hash of the uploaded photo
+        imagePHash: hashes.pHash, // Perceptual hash, matches re-encoded copies of the same photo
+      };
+
+      if (readResult.cached) {
+        docToInsert.cachedResult = true; // Read reused from an earlier upload of this image
+      }
+      if (readResult.barcodeFormat) {
+        docToInsert.barcodeFormat = readResult.barcodeFormat;
+      }
+      if (read.confidence !== undefined) {
+        docToInsert.confidence = read.confidence;
+      }
+      if (check.checksumValid !== undefined) {
+        docToInsert.checksumValid = check.checksumValid;
+      }
+      if (read.alternates) {
+        docToInsert.alternates = read.alternates; // Other plausible readings, offered during review
+      }
+      if (batch.multiTag) {
+        docToInsert.tagIndex = tagIndex; // Position of this tag within the photo's results
+        if (read.box) docToInsert.boundingBox = read.box;
+      }
+      if (batch.roomNumber) {
+        docToInsert.roomNumber = batch.roomNumber.trim(); // ensure it's trimmed
+      }
+      if (batch.locationId) {
+        docToInsert.locationId = batch.locationId; // Room (or other level) from the locations hierarchy
+        docToInsert.locationPath = batch.locationPath; // It and its ancestors, for filtering on any level
+      }
+      if (batch.sessionId) {
+        docToInsert.sessionId = batch.sessionId; // Inventory session (walkthrough) the scan belongs to
+      }
+      if (batch.captureDetail) { // Store captureDetail from OCR process
+        docToInsert.captureDetail = batch.captureDetail;
+      }
+
+      const { decision, tag, existingTagId } = await tagStore.saveTag(docToInsert, { policy: batch.duplicatePolicy });
+      tagResult.duplicateDecision = decision;
+      if (existingTagId) {
+        tagResult.existingTagId = existingTagId;
+      }
+
+      if (decision === 'skipped' || decision === 'merged') {
+        console.log(`Asset tag '${potentialAssetTag}' from image '${file.originalname || 'unknown'}' already exists as ${existingTagId}; ${decision} per duplicate policy.`);
+        if (decision === 'skipped') {
+          tagResult.skipReason = 'duplicate';
+        }
+        tagResult.tagId = existingTagId;
+        return;
+      }
+
+      tagResult.saved = true;
+      tagResult.tagId = tag._id;
+
+      let logMessage = `Asset tag '${potentialAssetTag}' (URL: ${assetUrl})`;
+      if (tagResult.checksumValid === false) {
+        logMessage += ' [needs review, check digit failed]';
+      } else if (tagResult.status === 'needsReview') {
+        logMessage += ` [needs review, confidence ${read.confidence}]`;
+      }
+      if (decision === 'flagged') {
+        logMessage += ` [duplicate of ${existingTagId}]`;
+      }
+      if (batch.roomNumber) {
+        logMessage += ` for room '${batch.roomNumber}'`;
+      }
+      logMessage += ` from image '${file.originalname || 'unknown'}' saved to MongoDB with id: ${tag._id}`;
+      console.log(logMessage);
+
+      // Broadcast new tag to SSE connections
+      if (broadcastNewTag) {
+        broadcastNewTag(tag);
+      }
+    } catch (dbErr) {
+      console.error('Error saving asset tag to MongoDB:', dbErr);
+      tagResult.skipReason = 'saveFailed';
+      // Continue processing other tags and images even if one DB save fails
+    }
+  }
+
+  // Whether an earlier tag was saved by this user for the same walkthrough, room and location, so
+  // uploading its photo again adds nothing. Anyone else's (or another room's) scan still gets saved.
+  function sameContext(tag, batch) {
+    return String(tag.userId) === String(batch.userId)
+      && String(tag.sessionId || '') === String(batch.sessionId || '')
+      && (tag.roomNumber || '') === (batch.roomNumber ? batch.roomNumber.trim() : '')
+      && String(tag.locationId || '') === String(batch.locationId || '');
+  }
+
+  // Cached read for this image, unless the client forces a fresh one. Cache problems never
+  // block processing; they just mean the provider gets called.
+  async function lookupCache(hashes, mode, batch) {
+    if (!imageCache || batch.forceReprocess) return null;
+    try {
+      return await imageCache.lookup(hashes, mode, { orgId: batch.orgId, region: batch.region });
+    } catch (err) {
+      console.warn('[Image Cache] Lookup failed:', err.message);
+      return null;
+    }
+  }
+
+  async function storeInCache(hashes, mode, batch, readResult) {
+    if (!imageCache) return null;
+    try {
+      const { source, barcodeFormat, provider, model, rawText, text, reads } = readResult;
+      return await imageCache.store(hashes, mode, { orgId: batch.orgId, region: batch.region }, { source, barcodeFormat, provider, model, rawText, text, reads });
+    } catch (err) {
+      console.warn('[Image Cache] Store failed:', err.message);
+      return null;
+    }
+  }
+
+  async function processImage(file, batch) {
+    try {
+      // Checked again here because queued jobs can outlive a region that was removed meanwhile
+      const regionDoc = await regions.getRegion(batch.region);
+      if (!regionDoc) {
+        throw new Error(`Region '${batch.region}' is not configured.`);
+      }
+
+      const mode = batch.multiTag ? 'multi' : 'single';
+      const hashes = await computeImageHashes(file.buffer);
+      const cacheHit = await lookupCache(hashes, mode, batch);
+      let cacheEntry = cacheHit ? cacheHit.entry : null;
+      let readResult;
+
+      if (cacheHit) {
+        const previousTags = (await tagStore.findActiveByIds(cacheEntry.tagIds, batch.orgId)).filter(tag => sameContext(tag, batch));
+        console.log(`Image '${file.originalname || 'unknown'}' matches an earlier upload (${cacheHit.match}, distance ${cacheHit.distance}); reusing its result.`);
+        if (previousTags.length > 0) {
+          // Same photo as before and its tags are still there: nothing new to save
+          return {
+            text: batch.multiTag ? previousTags.map(tag => tag.assetTag) : cacheEntry.result.text,
+            result: {
+              fileName: file.originalname,
+              source: cacheEntry.result.source,
+              provider: cacheEntry.result.provider,
+              model: cacheEntry.result.model,
+              attempts: 0,
+              cached: true,
+              cacheMatch: cacheHit.match,
+              tags: previousTags.map(tag => ({
+                assetTag: tag.assetTag,
+                tagId: tag._id,
+                status: tag.status,
+                saved: false,
+                skipReason: 'reupload',
+              })),
+            },
+            failed: false,
+          };
+        }
+        readResult = { ...cacheEntry.result, attempts: 0, usedFallback: false, cached: true };
+      } else {
+        readResult = await imageReader.readImage(file, {
+          provider: batch.provider,
+          multiTag: batch.multiTag,
+          detail: batch.detail,
+          fallback: batch.fallback,
+          barcode: batch.barcode,
+          tagFormat: tagFormatFor(regionDoc),
+        });
+        cacheEntry = await storeInCache(hashes, mode, batch, readResult);
+      }
+
+      // All tags read from this photo share one id so they can be traced back to the same image
+      const sourceImageId = crypto.randomUUID();
+      const imageResult = {
+        fileName: file.originalname,
+        sourceImageId,
+        source: readResult.source,
+        barcodeFormat: readResult.barcodeFormat,
+        provider: readResult.provider,
+        model: readResult.model,
+        attempts: readResult.attempts,
+        usedFallback: readResult.usedFallback,
+        cached: Boolean(readResult.cached),
+        cacheMatch: cacheHit ? cacheHit.match : undefined,
+        tags: [],
+      };
+
+      for (const [tagIndex, read] of readResult.reads.entries()) {
+        // Reads without a confidence (non-JSON replies) are treated as final, as before
+        const needsReview = read.confidence !== undefined && read.confidence < reviewThreshold;
+        const tagResult = {
+          assetTag: read.assetTag,
+          box: read.box,
+          confidence: read.confidence,
+          alternates: read.alternates,
+          status: needsReview ? 'needsReview' : 'final',
+          saved: false,
+        };
+        imageResult.tags.push(tagResult);
+        await saveRead(file, batch, regionDoc, readResult, read, tagIndex, sourceImageId, hashes, tagResult);
+      }
+
+      // Link the tags (new, or existing ones a duplicate was merged into) to the cached read
+      const linkedTagIds = imageResult.tags.filter(tag => tag.tagId).map(tag => tag.tagId);
+      if (cacheEntry && linkedTagIds.length) {
+        await imageCache.attachTags(cacheEntry._id, linkedTagIds).catch(err => console.warn('[Image Cache] Could not link tags:', err.message));
+      }
+
+      return {
+        text: batch.multiTag ? readResult.reads.map(read => read.assetTag) : readResult.text, // Parsed tag(s) for the frontend
+        result: imageResult,
+        failed: false,
+      };
+    } catch (err) {
+      console.error(`Error processing image ${file.originalname || 'unknown'}:`, err);
+      return {
+        text: batch.multiTag ? [] : '', // Empty result for failed image processing
+        result: {
+          fileName: file.originalname,
+          source: 'ocr',
+          provider: null,
+          attempts: err.attempts || 0,
+          providerAttempts: err.providerAttempts,
+          error: err.message,
+          tags: [],
+        },
+        failed: true,
+      };
+    }
+  }
+
+  return { processImage };
+}
@@ -0,0 +1,55 @@
+import { buildSingleTagPrompt, buildMultiTagPrompt } from './prompts.js';
+import { DEFAULT_TAG_FORMAT } from '../tagFormat.js';
+import { decodeAssetTagBarcode } from './barcode.js';
+import { parseSingleTagResponse, parseMultiTagResponse } from './responseParsing.js';
+
+// Turns one uploaded image into candidate asset tag reads: barcode first, then the
+// OCR runner (with its retries and fallbacks). `tagFormat` is the region's tag format; it
+// shapes the prompt and how tags are picked out of raw text. Saving the reads is left to the caller.
+export function createImageReader(ocrRunner) {
+  async function readImage(file, { provider, multiTag = false, detail = 'auto', fallback = true, barcode = true, tagFormat = DEFAULT_TAG_FORMAT } = {}) {
+    // zxing decodes at most one code per image, so multi-tag mode always asks the model
+    const decoded = barcode && !multiTag ? await decodeAssetTagBarcode(file.buffer, tagFormat) : null;
+    if (decoded) {
+      console.log(`Decoded ${decoded.format} barcode '${decoded.rawText}' from image '${file.originalname || 'unknown'}', skipping OCR.`);
+      return {
+        source: 'barcode',
+        barcodeFormat: decoded.format,
+        provider: null,
+        model: null,
+        attempts: 0,
+        usedFallback: false,
+        rawText: decoded.rawText,
+        text: decoded.assetTag,
+        reads: [{ assetTag: decoded.assetTag }], // Already checked against the region's format and check digit
+      };
+    }
+
+    console.log(`Processing one image with ${provider.name} model '${provider.model}'${multiTag ? ' in multi-tag mode' : ''}.`);
+    const ocrResult = await ocrRunner.run(provider, {
+      buffer: file.buffer,
+      mimetype: file.mimetype,
+      originalname: file.originalname,
+      detail,
+      mode: multiTag ? 'multi' : 'single',
+      prompt: multiTag ? buildMultiTagPrompt(tagFormat) : buildSingleTagPrompt(tagFormat),
+      tagFormat, // For engines that apply the rules in code instead of reading the prompt
+    }, { fallback });
+
+    const rawText = (ocrResult.text || '').trim();
+    const reads = multiTag ? parseMultiTagResponse(rawText, tagFormat) : parseSingleTagResponse(rawText);
+    return {
+      source: 'ocr',
+      provider: ocrResult.provider,
+      model: ocrResult.model,
+      attempts: ocrResult.attempts,
+      usedFallback: ocrResult.usedFallback,
+      rawText,
+      // Single-tag text for the `texts` response; NULL keeps the old "no tag found" answer
+      text: reads[0]?.assetTag ?? (rawText === '' ? '' : 'NULL'),
+      reads,
+    };
+  }
+
+  return { readImage };
+}
@@ -0,0 +1,72 @@
+import { createProviderRegistry } from './providerRegistry.js';
+import createOpenAIProvider from './providers/openaiProvider.js';
+import createGeminiProvider from './providers/geminiProvider.js';
+import createFakeProvider from './providers/fakeProvider.js';
+import createLocalProvider from './providers/localProvider.js';
+import { createOcrRunner } from './ocrRunner.js';
+import { retryPolicyFromEnv } from './retry.js';
+import { DEFAULT_PHASH_MAX_DISTANCE } from './imageCache.js';
+
+// Optional per-provider limits, e.g. OPENAI_MAX_CONCURRENCY=4 and OPENAI_REQUESTS_PER_MINUTE=60
+function limitsFromEnv(env, prefix) {
+  const limits = {};
+  const maxConcurrent = parseInt(env[`${prefix}_MAX_CONCURRENCY`], 10);
+  const requestsPerMinute = parseInt(env[`${prefix}_REQUESTS_PER_MINUTE`], 10);
+  if (maxConcurrent > 0) limits.maxConcurrent = maxConcurrent;
+  if (requestsPerMinute > 0) limits.requestsPerMinute = requestsPerMinute;
+  return limits;
+}
+
+// Build the registry from environment variables. Providers without credentials are
+// registered as disabled so the API can still report them.
+export function buildProviderRegistry(env = process.env) {
+  const registry = createProviderRegistry({ defaultProvider: env.OCR_DEFAULT_PROVIDER || 'gemini' });
+
+  registry.register(createOpenAIProvider({
+    apiKey: env.OPENAI_API_KEY,
+    model: env.OPENAI_OCR_MODEL || undefined,
+    limits: limitsFromEnv(env, 'OPENAI'),
+  }));
+  registry.register(createGeminiProvider({
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_OCR_MODEL || undefined,
+    limits: limitsFromEnv(env, 'GEMINI'),
+  }));
+  // Offline engine; on by default since it needs no credentials or network
+  registry.register(createLocalProvider({
+    enabled: env.LOCAL_OCR_ENABLED !== 'false',
+    langPath: env.LOCAL_OCR_LANG_PATH || undefined,
+    limits: limitsFromEnv(env, 'LOCAL_OCR'),
+  }));
+
+  if (env.OCR_FAKE_PROVIDER === 'true') {
+    // e.g. OCR_FAKE_RESPONSES="12345,NULL,00678"
+    const responses = (env.OCR_FAKE_RESPONSES || '').split(',').map(text => text.trim()).filter(Boolean);
+    registry.register(createFakeProvider({ responses }));
+  }
+
+  return registry;
+}
+
+// Retry policy and fallback chain for the OCR runner, e.g. OCR_FALLBACK_CHAIN="gemini,openai",
+// plus whether barcodes are decoded locally before calling a provider and the confidence
+// below which reads are saved for review instead of as final. A synchronous batch processes up
+// to OCR_BATCH_CONCURRENCY images at once; async jobs OCR_JOB_CONCURRENCY at a time.
+// Re-uploaded photos within OCR_PHASH_MAX_DISTANCE bits (default DEFAULT_PHASH_MAX_DISTANCE) reuse
+// earlier results; 0 only reuses identical perceptual hashes.
+export function ocrOptionsFromEnv(env = process.env) {
+  const reviewThreshold = parseFloat(env.OCR_REVIEW_THRESHOLD);
+  const perceptualHashMaxDistance = parseInt(env.OCR_PHASH_MAX_DISTANCE, 10);
+  return {
+    perceptualHashMaxDistance: perceptualHashMaxDistance >= 0 ? perceptualHashMaxDistance : DEFAULT_PHASH_MAX_DISTANCE,
+    batchConcurrency: Math.max(1, parseInt(env.OCR_BATCH_CONCURRENCY, 10) || 4),
+    jobConcurrency: Math.max(1, parseInt(env.OCR_JOB_CONCURRENCY, 10) || 2),
+    jobPollIntervalMs: Math.max(1000, parseInt(env.OCR_JOB_POLL_INTERVAL_MS, 10) || 5000),
+    reviewThreshold: Number.isFinite(reviewThreshold) ? reviewThreshold : 0.8,
+    barcodeDecoding: env.BARCODE_DECODING_ENABLED !== 'false',
+    retryPolicy: retryPolicyFromEnv(env),
+    fallbackChain: (env.OCR_FALLBACK_CHAIN || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean),
+  };
+}
+
+export { createProviderRegistry, createOcrRunner, createOpenAIProvider, createGeminiProvider, createFakeProvider, createLocalProvider };
@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const JOBS_COLLECTION = 'ocr_jobs';
+const IMAGES_BUCKET = 'ocr_job_images';
+
+// Persistent OCR job queue. Uploaded images are stored in GridFS and each job document
+// tracks per-image progress, so queued work survives a restart. Images are claimed one at a
+// time with a lease that the worker keeps renewing while it processes the image; a claim
+// whose lease runs out (e.g. the process died mid-image) is picked up again by the next poll.
+//
+// Job document:
+//   { userId, userEmail, orgId, status: 'queued' | 'processing' | 'completed' | 'failed',
+//     options: { aiModel, region, sessionId, roomNumber, locationId, locationPath, captureDetail, multiTag, detail, fallback, barcode, duplicatePolicy, forceReprocess },
+//     images: [{ index, fileName, mimetype, size, fileId, status: 'pending' | 'processing' | 'done' | 'failed',
+//                claimId, leaseExpiresAt, startedAt, finishedAt, text, result }],
+//     total, processed, failed, createdAt, updatedAt, startedAt, completedAt }
+export function createOcrJobQueue({ db, ocrProviders, imageProcessor, concurrency = 2, pollIntervalMs = 5000, leaseMs = 10 * 60 * 1000 }) {
+  const jobs = db.collection(JOBS_COLLECTION);
+  let bucket = null;
+  let running = 0;
+  let timer = null;
+  let stopped = true;
+
+  // Created lazily: the native db handle is only needed once images are stored
+  function getBucket() {
+    if (!bucket) {
+      bucket = new mongoose.mongo.GridFSBucket(db.db, { bucketName: IMAGES_BUCKET });
+    }
+    return bucket;
+  }
+
+  function uploadImage(file) {
+    return new Promise((resolve, reject) => {
+      const stream = getBucket().openUploadStream(file.originalname || 'image', { metadata: { mimetype: file.mimetype } });
+      stream.once('finish', () => resolve(stream.id));
+      stream.once('error', reject);
+      stream.end(file.buffer);
+    });
+  }
+
+  async function downloadImage(fileId) {
+    const chunks = [];
+    for await (const chunk of getBucket().openDownloadStream(fileId)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async function deleteImage(fileId) {
+    try {
+      await getBucket().delete(fileId);
+    } catch (err) {
+      console.warn(`[OCR Jobs] Could not delete stored image ${fileId}:`, err.message);
+    }
+  }
+
+  async function enqueue(files, { userId, userEmail, orgId, options }) {
+    const images = [];
+    for (const [index, file] of files.entries()) {
+      images.push({
+        index,
+        fileName: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        fileId: await uploadImage(file),
+        status: 'pending',
+      });
+    }
+
+    const now = new Date();
+    const job = {
+      userId,
+      userEmail,
+      orgId,
+      status: 'queued',
+      options,
+      images,
+      total: images.length,
+      processed: 0,
+      failed: 0,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const { insertedId } = await jobs.insertOne(job);
+    console.log(`[OCR Jobs] Queued job ${insertedId} with ${images.length} image(s) for user ${userEmail}`);
+    wake();
+    return { ...job, _id: insertedId };
+  }
+
+  // Atomically claim the next pending image (or one whose lease expired) across all jobs.
+  async function claimNext() {
+    const now = new Date();
+    const claimId = crypto.randomUUID();
+    const result = await jobs.findOneAndUpdate(
+      {
+        status: { $in: ['queued', 'processing'] },
+        images: {
+          $elemMatch: {
+            $or: [
+              { status: 'pending' },
+              { status: 'processing', leaseExpiresAt: { $lt: now } },
+            ],
+          },
+        },
+      },
+      {
+        $set: {
+          status: 'processing',
+          updatedAt: now,
+          'images.$.status': 'processing',
+          'images.$.claimId': claimId,
+          'images.$.startedAt': now,
+          'images.$.leaseExpiresAt': new Date(now.getTime() + leaseMs),
+        },
+      },
+      { sort: { createdAt: 1 }, returnDocument: 'after' }
+    );
+    const job = result?.value !== undefined ? result.value : result; // Accommodate older driver result formats
+    if (!job) return null;
+    if (!job.startedAt) {
+      await jobs.updateOne({ _id: job._id, startedAt: { $exists: false } }, { $set: { startedAt: now } });
+    }
+    const image = job.images.find(candidate => candidate.claimId === claimId);
+    return image ? { job, image } : null;
+  }
+
+  // Push the lease forward while the image is processed, so a slow provider doesn't let another
+  // worker reclaim it and save the same tags a second time. Returns a function that stops renewing.
+  function keepLease(job, image) {
+    const renew = async () => {
+      try {
+        const result = await jobs.updateOne(
+          { _id: job._id, 'images.claimId': image.claimId },
+          { $set: { 'images.$[img].leaseExpiresAt': new Date(Date.now() + leaseMs) } },
+          { arrayFilters: [{ 'img.claimId': image.claimId }] }
+        );
+        if (result.matchedCount === 0) {
+          console.warn(`[OCR Jobs] Lost the claim on image ${image.index} of job ${job._id} while processing it.`);
+        }
+      } catch (err) {
+        console.warn(`[OCR Jobs] Could not renew the lease on image ${image.index} of job ${job._id}:`, err.message);
+      }
+    };
+    const interval = setInterval(renew, Math.max(Math.floor(leaseMs / 3), 1000));
+    interval.unref?.();
+    return () => clearInterval(interval);
+  }
+
+  async function processClaim({ job, image }) {
+    let outcome;
+    const releaseLease = keepLease(job, image);
+    try {
+      outcome = await runClaim(job, image);
+    } finally {
+      releaseLease();
+    }
+    await recordOutcome(job, image, outcome);
+  }
+
+  async function runClaim(job, image) {
+    const { options } = job;
+    let outcome;
+    const provider = ocrProviders.resolve(options.aiModel);
+    if (!provider) {
+      outcome = {
+        text: options.multiTag ? [] : '',
+        result: { fileName: image.fileName, provider: null, attempts: 0, error: `OCR provider '${options.aiModel}' is no longer available.`, tags: [] },
+        failed: true,
+      };
+    } else {
+      try {
+        const buffer = await downloadImage(image.fileId);
+        const file = { buffer, mimetype: image.mimetype, originalname: image.fileName, size: image.size };
+        outcome = await imageProcessor.processImage(file, {
+          ...options,
+          provider,
+          userId: job.userId,
+          userEmail: job.userEmail,
+          orgId: job.orgId,
+        });
+      } catch (err) {
+        console.error(`[OCR Jobs] Could not load image ${image.index} of job ${job._id}:`, err);
+        outcome = {
+          text: options.multiTag ? [] : '',
+          result: { fileName: image.fileName, provider: null, attempts: 0, error: err.message, tags: [] },
+          failed: true,
+        };
+      }
+    }
+    return outcome;
+  }
+
+  async function recordOutcome(job, image, outcome) {
+    const now = new Date();
+    // Matching on claimId means a worker whose lease was taken over cannot record a second result
+    const updated = await jobs.findOneAndUpdate(
+      { _id: job._id, 'images.claimId': image.claimId },
+      {
+        $set: {
+          updatedAt: now,
+          'images.$[img].status': outcome.failed ? 'failed' : 'done',
+          'images.$[img].finishedAt': now,
+          'images.$[img].text': outcome.text,
+          'images.$[img].result': outcome.result,
+        },
+        $unset: { 'images.$[img].leaseExpiresAt': '' },
+        $inc: { processed: 1, failed: outcome.failed ? 1 : 0 },
+      },
+      { arrayFilters: [{ 'img.claimId': image.claimId }], returnDocument: 'after' }
+    );
+    const jobAfter = updated?.value !== undefined ? updated.value : updated;
+    if (!jobAfter) {
+      console.warn(`[OCR Jobs] Claim on image ${image.index} of job ${job._id} expired before it finished; result discarded.`);
+      return;
+    }
+    await deleteImage(image.fileId);
+
+    if (jobAfter.processed >= jobAfter.total) {
+      const status = jobAfter.failed >= jobAfter.total ? 'failed' : 'completed';
+      await jobs.updateOne({ _id: job._id, status: 'processing' }, { $set: { status, completedAt: now, updatedAt: now } });
+      console.log(`[OCR Jobs] Job ${job._id} ${status}: ${jobAfter.total - jobAfter.failed}/${jobAfter.total} image(s) processed successfully`);
+    }
+  }
+
+  // Fill free worker slots with claimed images until the queue is empty or we hit the limit.
+  async function pump() {
+    while (!stopped && running < concurrency) {
+      running += 1;
+      let claim;
+      try {
+        claim = await claimNext();
+      } catch (err) {
+        running -= 1;
+        console.error('[OCR Jobs] Error claiming next image:', err);
+        return;
+      }
+      if (!claim) {
+        running -= 1;
+        return;
+      }
+      processClaim(claim)
+        .catch(err => console.error(`[OCR Jobs] Error processing job ${claim.job._id}:`, err))
+        .finally(() => {
+          running -= 1;
+          pump();
+        });
+    }
+  }
+
+  function wake() {
+    if (!stopped) pump();
+  }
+
+  async function start() {
+    if (!stopped) return;
+    stopped = false;
+    await jobs.createIndex({ status: 1, createdAt: 1 });
+    await jobs.createIndex({ userId: 1, createdAt: -1 });
+    timer = setInterval(wake, pollIntervalMs);
+    timer.unref?.();
+    console.log(`[OCR Jobs] Worker started with concurrency ${concurrency}`);
+    wake();
+  }
+
+  function stop() {
+    stopped = true;
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  // Job as returned to clients: stored file ids and claim bookkeeping are internal.
+  function toPublicJob(job) {
+    return {
+      id: job._id,
+      status: job.status,
+      total: job.total,
+      processed: job.processed,
+      failed: job.failed,
+      options: { ...job.options },
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      images: job.images.map(({ index, fileName, status, startedAt, finishedAt, text, result }) => ({
+        index, fileName, status, startedAt, finishedAt, text, result,
+      })),
+    };
+  }
+
+  async function getJob(jobId, userId) {
+    const job = await jobs.findOne({ _id: new mongoose.Types.ObjectId(jobId), userId });
+    return job ? toPublicJob(job) : null;
+  }
+
+  async function listJobs(userId, limit = 20) {
+    const found = await jobs.find({ userId }, { projection: { images: 0 } }).sort({ createdAt: -1 }).limit(limit).toArray();
+    return found.map(({ _id, status, total, processed, failed, createdAt, startedAt, completedAt }) => ({
+      id: _id, status, total, processed, failed, createdAt, startedAt, completedAt,
+    }));
+  }
+
+  return { enqueue, start, stop, getJob, listJobs, toPublicJob };
+}
@@ -0,0 +1,62 @@
+import { withRetry, DEFAULT_RETRY_POLICY } from './retry.js';
+
+// Runs a recognition call against the requested provider with retries, then walks
+// the fallback chain until one provider succeeds.
+export function createOcrRunner(registry, { retryPolicy = DEFAULT_RETRY_POLICY, fallbackChain = [] } = {}) {
+  // Providers to try, in order: the requested one first, then the configured chain
+  // (skipping duplicates and anything disabled).
+  function providerOrder(primary, useFallback) {
+    const order = [primary];
+    if (!useFallback) return order;
+    for (const name of fallbackChain) {
+      const provider = registry.get(name);
+      if (provider?.enabled && !order.includes(provider)) {
+        order.push(provider);
+      }
+    }
+    return order;
+  }
+
+  async function run(primary, request, { fallback = true } = {}) {
+    const providerAttempts = [];
+    let totalAttempts = 0;
+    let lastError;
+
+    for (const provider of providerOrder(primary, fallback)) {
+      try {
+        const { value, attempts } = await withRetry(
+          () => provider.limiter.schedule(() => provider.extractText(request)), // Each attempt waits its turn under the provider's limits
+          retryPolicy,
+          {
+            onRetry: (err, attempt, delay) => {
+              console.warn(`[OCR] ${provider.name} attempt ${attempt} failed for '${request.originalname || 'unknown'}' (${err.message}). Retrying in ${delay}ms.`);
+            },
+          },
+        );
+        totalAttempts += attempts;
+        providerAttempts.push({ provider: provider.name, attempts });
+        return {
+          text: value,
+          provider: provider.name,
+          model: provider.model,
+          attempts: totalAttempts,
+          providerAttempts,
+          usedFallback: provider !== primary,
+        };
+      } catch (err) {
+        totalAttempts += err.attempts || 1;
+        providerAttempts.push({ provider: provider.name, attempts: err.attempts || 1, error: err.message });
+        console.error(`[OCR] ${provider.name} failed for '${request.originalname || 'unknown'}':`, err.message);
+        lastError = err;
+      }
+    }
+
+    const error = new Error(`All OCR providers failed: ${lastError?.message || 'unknown error'}`);
+    error.cause = lastError;
+    error.attempts = totalAttempts;
+    error.providerAttempts = providerAttempts;
+    throw error;
+  }
+
+  return { run };
+}
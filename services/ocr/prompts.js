@@ -0,0 +1,26 @@
+import { DEFAULT_TAG_FORMAT } from '../tagFormat.js';
+
+// Prompt text shared by every vision provider so the rules only live in one place.
+// Both prompts ask for JSON so each read carries a confidence and any alternate readings.
+// The tag rules come from the region's tag format (services/tagFormat.js).
+
+// Sentences describing the tag itself, common to both prompts
+function describeTag(format) {
+  let rules = `Each asset tag is ${format.description}, for example ${format.example}.`;
+  if (format.stripLeadingZeros) {
+    rules += ' The tag may have additional leading zeros. A leading zero is a zero that comes before the tag and does not count as part of it. Truncate the leading zeros.';
+  }
+  if (format.checksum && format.checksum !== 'none') {
+    rules += ' The last character of the tag is a check digit; always include it.';
+  }
+  return rules;
+}
+
+export function buildSingleTagPrompt(format = DEFAULT_TAG_FORMAT) {
+  return `You are an OCR reader looking for one asset tag. ${describeTag(format)} Return ONLY a JSON object in the form {"tag":"${format.example}","confidence":0.95,"alternates":[]}. "tag" is the asset tag, or null if there is no visible asset tag. "confidence" is a number from 0 to 1 saying how sure you are of the reading. "alternates" lists other plausible readings of the same tag (for example when a character is blurred), or [] if there are none. DO NOT RETURN ANYTHING OTHER THAN THE JSON OBJECT.`;
+}
+
+// Multi-tag mode: every asset tag in the photo, with positions as well.
+export function buildMultiTagPrompt(format = DEFAULT_TAG_FORMAT) {
+  return `You are an OCR reader looking for every asset tag in this image. ${describeTag(format)} Return ONLY a JSON array with one object per asset tag found, in the form [{"tag":"${format.example}","box":{"x":0.1,"y":0.2,"width":0.15,"height":0.05},"confidence":0.95,"alternates":[]}]. "box" is the bounding box of the tag with coordinates as fractions of the image width and height (0 to 1), measured from the top-left corner. "confidence" is a number from 0 to 1. "alternates" lists other plausible readings of the same tag, or []. If there is no visible asset tag, return []. DO NOT RETURN ANYTHING OTHER THAN THE JSON ARRAY.`;
+}
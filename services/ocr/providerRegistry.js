@@ -0,0 +1,75 @@
+import { createLimiter } from './concurrency.js';
+
+// Registry of OCR providers. A provider is a plain object:
+//   {
+//     name: 'openai',                 // value clients send as `aiModel`
+//     model: 'gpt-4.1-mini',          // upstream model id, for logging and storage
+//     enabled: true,                  // false when e.g. its API key is missing
+//     options: { temperature: 0 },    // provider-specific request options
+//     limits: { maxConcurrent: 4, requestsPerMinute: 60 }, // optional, enforced for every call
+//     extractText: async ({ buffer, mimetype, detail, prompt }) => 'raw model output',
+//     close: async () => {}           // optional, releases clients/workers on shutdown
+//   }
+export function createProviderRegistry({ defaultProvider } = {}) {
+  const providers = new Map();
+
+  function register(provider) {
+    if (!provider || typeof provider.name !== 'string' || provider.name.trim() === '') {
+      throw new Error('OCR provider must have a name.');
+    }
+    if (typeof provider.extractText !== 'function') {
+      throw new Error(`OCR provider '${provider.name}' must implement extractText().`);
+    }
+    const name = provider.name.toLowerCase();
+    if (providers.has(name)) {
+      throw new Error(`OCR provider '${name}' is already registered.`);
+    }
+    const limits = { maxConcurrent: Infinity, requestsPerMinute: 0, ...provider.limits };
+    providers.set(name, { options: {}, enabled: true, ...provider, name, limits, limiter: createLimiter(limits) });
+    return registry;
+  }
+
+  function get(name) {
+    if (!name || typeof name !== 'string') return null;
+    return providers.get(name.toLowerCase()) || null;
+  }
+
+  function list() {
+    return Array.from(providers.values()).map(({ name, model, enabled, limits }) => ({
+      name,
+      model,
+      enabled: Boolean(enabled),
+      maxConcurrent: Number.isFinite(limits.maxConcurrent) ? limits.maxConcurrent : null,
+      requestsPerMinute: limits.requestsPerMinute || null,
+    }));
+  }
+
+  function enabledProviders() {
+    return Array.from(providers.values()).filter(provider => provider.enabled);
+  }
+
+  function getDefault() {
+    const preferred = get(defaultProvider);
+    if (preferred?.enabled) return preferred;
+    return enabledProviders()[0] || null;
+  }
+
+  // Pick the provider for a request. An empty name falls back to the default;
+  // unknown or disabled names resolve to null so the caller can reject the request.
+  function resolve(requestedName) {
+    if (!requestedName) return getDefault();
+    const provider = get(requestedName);
+    return provider?.enabled ? provider : null;
+  }
+
+  async function close() {
+    for (const provider of providers.values()) {
+      if (typeof provider.close === 'function') {
+        await provider.close();
+      }
+    }
+  }
+
+  const registry = { register, get, list, enabledProviders, getDefault, resolve, close };
+  return registry;
+}
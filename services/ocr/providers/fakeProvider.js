@@ -0,0 +1,27 @@
+// Deterministic provider for tests and local development; never calls out to the network.
+// `responses` may be:
+//   - a function ({ buffer, mimetype, originalname }) => string
+//   - an object keyed by original file name
+//   - an array of strings, handed out in order and then repeated
+export default function createFakeProvider({ name = 'fake', model = 'fake-ocr', responses = [], defaultText = 'NULL' } = {}) {
+  let callCount = 0;
+
+  function nextResponse(image) {
+    if (typeof responses === 'function') return responses(image);
+    if (Array.isArray(responses)) {
+      if (responses.length === 0) return defaultText;
+      return responses[callCount++ % responses.length];
+    }
+    return responses[image.originalname] ?? defaultText;
+  }
+
+  return {
+    name,
+    model,
+    enabled: true,
+    options: {},
+    async extractText(image) {
+      return String(nextResponse(image) ?? '');
+    },
+  };
+}
@@ -0,0 +1,25 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Gemini vision provider. Disabled (but still registered) when no API key is configured.
+export default function createGeminiProvider({ apiKey, model = 'gemini-2.5-flash-preview-05-20', options = {}, limits = {} } = {}) {
+  const client = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+
+  return {
+    name: 'gemini',
+    model,
+    enabled: Boolean(client),
+    options,
+    limits: { maxConcurrent: 4, ...limits },
+    async extractText({ buffer, mimetype, prompt }) {
+      const generativeModel = client.getGenerativeModel({ model, generationConfig: options.generationConfig });
+      const imagePart = {
+        inlineData: {
+          mimeType: mimetype,
+          data: buffer.toString('base64'),
+        },
+      };
+      const geminiResponse = await generativeModel.generateContent([{ text: prompt }, imagePart]);
+      return geminiResponse?.response?.text() || '';
+    },
+  };
+}
@@ -0,0 +1,96 @@
+import path from 'path';
+import { createRequire } from 'module';
+import sharp from 'sharp';
+import { createWorker } from 'tesseract.js';
+import { findAssetNumbers, normalizeAssetNumber } from '../assetNumber.js';
+
+const require = createRequire(import.meta.url);
+
+// Bundled English traineddata, so recognition works without any network access
+function defaultLangPath() {
+  return path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0');
+}
+
+// Every word tesseract recognized, flattened out of its block/paragraph/line tree
+function collectWords(blocks) {
+  return (blocks || []).flatMap(block => (block.paragraphs || []).flatMap(paragraph => (paragraph.lines || []).flatMap(line => line.words || [])));
+}
+
+// CPU-only OCR running inside the Node process via tesseract.js. The prompt is ignored;
+// instead the raw text is reduced with the request's tag format rules (5 digits with
+// leading zeros stripped by default) and the result is returned in the same JSON form the
+// prompts ask the vision models for. Recognition is limited to digits unless
+// `options.parameters.tessedit_char_whitelist` says otherwise, e.g. for lettered prefixes.
+export default function createLocalProvider({ enabled = true, langPath, options = {}, limits = {} } = {}) {
+  const workerOptions = {
+    langPath: langPath || defaultLangPath(),
+    cacheMethod: 'none', // Never write traineddata to the working directory
+    gzip: true,
+  };
+  const recognitionParameters = {
+    tessedit_char_whitelist: '0123456789',
+    tessedit_pageseg_mode: '11', // Sparse text: labels can be anywhere in the photo
+    ...options.parameters,
+  };
+  let workerPromise = null;
+
+  // The worker is created on first use and reused; tesseract.js queues jobs internally.
+  function getWorker() {
+    if (!workerPromise) {
+      workerPromise = (async () => {
+        const worker = await createWorker('eng', 1, workerOptions);
+        await worker.setParameters(recognitionParameters);
+        return worker;
+      })().catch(err => {
+        workerPromise = null;
+        throw err;
+      });
+    }
+    return workerPromise;
+  }
+
+  return {
+    name: 'local',
+    model: 'tesseract-eng',
+    enabled,
+    options: { ...workerOptions, parameters: recognitionParameters },
+    limits: { maxConcurrent: 1, ...limits }, // One tesseract worker; more would only compete for CPU
+    async extractText({ buffer, mode = 'single', tagFormat }) {
+      const worker = await getWorker();
+      const [{ data }, { width, height }] = await Promise.all([
+        worker.recognize(buffer, {}, { text: true, blocks: true }),
+        sharp(buffer).metadata(),
+      ]);
+
+      const tags = [];
+      for (const word of collectWords(data.blocks)) {
+        const tag = normalizeAssetNumber(word.text.trim(), tagFormat);
+        if (!tag || tags.some(existing => existing.tag === tag)) continue;
+        const { x0, y0, x1, y1 } = word.bbox;
+        tags.push({
+          tag,
+          box: { x: x0 / width, y: y0 / height, width: (x1 - x0) / width, height: (y1 - y0) / height },
+          confidence: word.confidence / 100,
+          alternates: [],
+        });
+      }
+
+      if (mode === 'multi') {
+        return JSON.stringify(tags);
+      }
+      // Words can split a number oddly; fall back to scanning the full text
+      const [best] = tags;
+      if (best) {
+        return JSON.stringify({ tag: best.tag, confidence: best.confidence, alternates: [] });
+      }
+      const [assetNumber] = findAssetNumbers(data.text, tagFormat);
+      return JSON.stringify({ tag: assetNumber || null, confidence: assetNumber ? data.confidence / 100 : 0, alternates: [] });
+    },
+    async close() {
+      if (!workerPromise) return;
+      const worker = await workerPromise.catch(() => null);
+      workerPromise = null;
+      if (worker) await worker.terminate();
+    },
+  };
+}
@@ -0,0 +1,36 @@
+import OpenAI from 'openai';
+
+// OpenAI vision provider. Disabled (but still registered) when no API key is configured.
+export default function createOpenAIProvider({ apiKey, model = 'gpt-4.1-mini', options = {}, limits = {} } = {}) {
+  const client = apiKey ? new OpenAI({ apiKey }) : null;
+  const requestOptions = {
+    max_tokens: 2048, // Max tokens per image analysis
+    temperature: 0, // Deterministic output
+    ...options,
+  };
+
+  return {
+    name: 'openai',
+    model,
+    enabled: Boolean(client),
+    options: requestOptions,
+    limits: { maxConcurrent: 4, ...limits },
+    async extractText({ buffer, mimetype, detail = 'auto', prompt }) {
+      const dataUrl = `data:${mimetype};base64,${buffer.toString('base64')}`;
+      const completion = await client.chat.completions.create({
+        ...requestOptions,
+        model,
+        messages: [
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: prompt },
+              { type: 'image_url', image_url: { url: dataUrl, detail } }, // Send only one image at a time
+            ],
+          },
+        ],
+      });
+      return completion.choices?.[0]?.message?.content || '';
+    },
+  };
+}
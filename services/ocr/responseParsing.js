@@ -0,0 +1,100 @@
+import { findAssetNumbers } from './assetNumber.js';
+
+// Models sometimes wrap the answer in quotes; strip them before validation.
+function stripQuotes(text) {
+  return String(text ?? '').replace(/["']/g, '').trim();
+}
+
+function clampFraction(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return null;
+  return Math.min(1, Math.max(0, number));
+}
+
+// Accepts { x, y, width, height } or [x, y, width, height] in 0-1 image fractions.
+export function normalizeBox(box) {
+  if (!box) return undefined;
+  const [x, y, width, height] = Array.isArray(box) ? box : [box.x, box.y, box.width ?? box.w, box.height ?? box.h];
+  const normalized = { x: clampFraction(x), y: clampFraction(y), width: clampFraction(width), height: clampFraction(height) };
+  return Object.values(normalized).some(value => value === null) ? undefined : normalized;
+}
+
+// Confidence as a 0-1 fraction; percentages (e.g. 87) are scaled down.
+export function normalizeConfidence(confidence) {
+  const number = Number(confidence);
+  if (confidence === null || confidence === undefined || !Number.isFinite(number) || number < 0) return undefined;
+  return number > 1 ? Math.min(1, number / 100) : number;
+}
+
+// Pull the first JSON array or object out of a model reply, tolerating ```json fences and chatter.
+export function extractJson(text) {
+  const cleaned = String(text ?? '').replace(/```(?:json)?/gi, '').trim();
+  const start = cleaned.search(/[[{]/);
+  if (start === -1) return undefined;
+  const closing = cleaned[start] === '[' ? ']' : '}';
+  const end = cleaned.lastIndexOf(closing);
+  if (end <= start) return undefined;
+  try {
+    return JSON.parse(cleaned.slice(start, end + 1));
+  } catch (err) {
+    return undefined;
+  }
+}
+
+function normalizeAlternates(alternates, assetTag) {
+  if (!Array.isArray(alternates)) return [];
+  const cleaned = alternates.map(stripQuotes).filter(alternate => alternate !== '' && alternate !== assetTag);
+  return [...new Set(cleaned)];
+}
+
+// One { tag, confidence, alternates, box } item from a structured reply, or null if it holds no tag.
+function readFromItem(item) {
+  const isObject = typeof item === 'object' && item !== null;
+  const rawTag = isObject ? (item.tag ?? item.assetTag) : item;
+  if (rawTag === null || rawTag === undefined) return null;
+  const assetTag = stripQuotes(rawTag);
+  if (assetTag === '' || assetTag.toUpperCase() === 'NULL') return null;
+
+  const read = { assetTag };
+  if (isObject) {
+    const box = normalizeBox(item.box ?? item.boundingBox);
+    const confidence = normalizeConfidence(item.confidence);
+    const alternates = normalizeAlternates(item.alternates, assetTag);
+    if (box) read.box = box;
+    if (confidence !== undefined) read.confidence = confidence;
+    if (alternates.length) read.alternates = alternates;
+  }
+  return read;
+}
+
+// Single-tag mode: a JSON object { tag, confidence, alternates }. Replies that are not JSON
+// (older prompts, providers that ignore the format) are treated as the bare tag text,
+// without a confidence. The tag is validated later against the region.
+export function parseSingleTagResponse(text) {
+  const parsed = extractJson(text);
+  if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+    const read = readFromItem(parsed);
+    return read ? [read] : [];
+  }
+  const assetTag = stripQuotes(text);
+  return assetTag === '' || assetTag.toUpperCase() === 'NULL' ? [] : [{ assetTag }];
+}
+
+// Multi-tag mode: a JSON array of { tag, box, confidence, alternates } (or bare strings). When
+// the model ignores the format, fall back to every asset tag in `tagFormat` found in the raw text.
+export function parseMultiTagResponse(text, tagFormat) {
+  const parsed = extractJson(text);
+  const items = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.tags) ? parsed.tags : null;
+  if (!items) {
+    return findAssetNumbers(text, tagFormat).map(assetTag => ({ assetTag }));
+  }
+
+  const reads = [];
+  for (const item of items) {
+    const read = readFromItem(item);
+    if (read && !reads.some(existing => existing.assetTag === read.assetTag)) {
+      reads.push(read);
+    }
+  }
+  return reads;
+}
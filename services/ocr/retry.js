@@ -0,0 +1,69 @@
+// Retry helpers for OCR provider calls. Only transient failures (rate limits,
+// upstream 5xx, dropped connections) are retried; everything else fails fast.
+
+const TRANSIENT_STATUS_CODES = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+const TRANSIENT_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+const TRANSIENT_ERROR_NAMES = new Set(['APIConnectionError', 'APIConnectionTimeoutError', 'AbortError', 'FetchError']);
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3, // Attempts per provider, including the first call
+  baseDelayMs: 500,
+  maxDelayMs: 8000, // Cap for a single backoff wait
+  factor: 2,
+  jitter: true,
+};
+
+function toPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+export function retryPolicyFromEnv(env = process.env) {
+  return {
+    maxAttempts: Math.max(1, toPositiveInt(env.OCR_RETRY_MAX_ATTEMPTS, DEFAULT_RETRY_POLICY.maxAttempts)),
+    baseDelayMs: toPositiveInt(env.OCR_RETRY_BASE_DELAY_MS, DEFAULT_RETRY_POLICY.baseDelayMs),
+    maxDelayMs: toPositiveInt(env.OCR_RETRY_MAX_DELAY_MS, DEFAULT_RETRY_POLICY.maxDelayMs),
+    factor: DEFAULT_RETRY_POLICY.factor,
+    jitter: env.OCR_RETRY_JITTER !== 'false',
+  };
+}
+
+export function isTransientError(err) {
+  if (!err) return false;
+  const status = err.status ?? err.statusCode ?? err.response?.status;
+  if (status !== undefined) return TRANSIENT_STATUS_CODES.has(Number(status));
+  if (err.code && TRANSIENT_ERROR_CODES.has(err.code)) return true;
+  if (err.cause?.code && TRANSIENT_ERROR_CODES.has(err.cause.code)) return true;
+  return TRANSIENT_ERROR_NAMES.has(err.name);
+}
+
+// Exponential backoff: baseDelayMs * factor^(attempt - 1), capped at maxDelayMs.
+// With jitter the wait is a random value between half and all of that delay.
+export function computeBackoffDelay(attempt, policy = DEFAULT_RETRY_POLICY) {
+  const exponential = policy.baseDelayMs * Math.pow(policy.factor, attempt - 1);
+  const capped = Math.min(policy.maxDelayMs, exponential);
+  return policy.jitter ? Math.round(capped / 2 + Math.random() * (capped / 2)) : capped;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs fn(attempt) until it succeeds, a non-transient error is thrown, or
+// maxAttempts is reached. The error that is finally thrown carries `attempts`.
+export async function withRetry(fn, policy = DEFAULT_RETRY_POLICY, { onRetry } = {}) {
+  let attempt = 0;
+  for (;;) {
+    attempt += 1;
+    try {
+      const value = await fn(attempt);
+      return { value, attempts: attempt };
+    } catch (err) {
+      if (attempt >= policy.maxAttempts || !isTransientError(err)) {
+        err.attempts = attempt;
+        throw err;
+      }
+      const delay = computeBackoffDelay(attempt, policy);
+      if (onRetry) onRetry(err, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,41 @@
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+
+// Organizations are the tenant boundary for asset data: every asset tag (and OCR job) carries
+// the orgId of the user who created it, and tag routes only ever query the caller's orgId.
+export const DEFAULT_ORGANIZATION_SLUG = 'default';
+
+// 'Lincoln High School' -> 'lincoln-high-school'
+export function slugify(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents split off by NFKD
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+}
+
+// First start with organizations: everything saved so far was shared by all users, so it all
+// moves into a default organization. Later registrations stay unassigned until an admin
+// places them (see PUT /api/admin/users/:id/organization).
+export async function initOrganizations(db) {
+  if (await Organization.countDocuments({}) > 0) return;
+
+  let org;
+  try {
+    org = await Organization.create({
+      name: process.env.DEFAULT_ORGANIZATION_NAME || 'Default organization',
+      slug: DEFAULT_ORGANIZATION_SLUG,
+    });
+  } catch (err) {
+    if (err.code === 11000) return; // Another instance got there first
+    throw err;
+  }
+
+  const unassigned = { orgId: { $exists: false } };
+  const users = await User.updateMany(unassigned, { $set: { orgId: org._id } });
+  const tags = await db.collection('asset_tags').updateMany(unassigned, { $set: { orgId: org._id } });
+  await db.collection('ocr_jobs').updateMany(unassigned, { $set: { orgId: org._id } });
+  console.log(`[Organizations] Created '${org.name}' and moved ${users.modifiedCount} existing user(s) and ${tags.modifiedCount} tag(s) into it`);
+}
@@ -0,0 +1,44 @@
+// Roles and what each one may do. Routes check permissions (see middlewares/requirePermission.js),
+// never role names, so adjusting a role only means editing this table.
+export const PERMISSIONS = {
+  TAGS_CREATE: 'tags:create',           // scan photos and save manual entries
+  TAGS_EDIT_OWN: 'tags:edit-own',       // edit, delete and review your own tags
+  TAGS_VIEW_ALL: 'tags:view-all',       // see every user's tags (lists, exports, reports, live stream)
+  TAGS_EDIT_ALL: 'tags:edit-all',       // edit, delete and review other users' tags
+  TAGS_EXPORT: 'tags:export',           // download CSV exports
+  SESSIONS_MANAGE: 'sessions:manage',   // create, start and close inventory sessions
+  ASSETS_IMPORT: 'assets:import',       // upload the master asset register
+  LOCATIONS_MANAGE: 'locations:manage', // maintain sites, buildings, floors and rooms
+  REGIONS_MANAGE: 'regions:manage',     // add, change and remove regions
+  USERS_MANAGE: 'users:manage',         // approve accounts, change roles, disable and delete users
+};
+
+const P = PERMISSIONS;
+
+export const ROLE_PERMISSIONS = {
+  viewer: [P.TAGS_VIEW_ALL, P.TAGS_EXPORT],
+  technician: [P.TAGS_CREATE, P.TAGS_EDIT_OWN, P.TAGS_EXPORT],
+  supervisor: [P.TAGS_CREATE, P.TAGS_EDIT_OWN, P.TAGS_VIEW_ALL, P.TAGS_EDIT_ALL, P.TAGS_EXPORT, P.SESSIONS_MANAGE],
+  admin: Object.values(P),
+};
+
+// Roles that can be assigned, lowest to highest
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+export const DEFAULT_ROLE = 'technician';
+
+// Accounts created before roles existed have role 'user', which meant a field technician
+const LEGACY_ROLES = { user: 'technician' };
+
+export function roleOf(user) {
+  const role = user && user.role;
+  return LEGACY_ROLES[role] || (ROLE_PERMISSIONS[role] ? role : null);
+}
+
+export function permissionsFor(user) {
+  const role = roleOf(user);
+  return role ? ROLE_PERMISSIONS[role] : [];
+}
+
+export function hasPermission(user, permission) {
+  return permissionsFor(user).includes(permission);
+}
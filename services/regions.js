@@ -0,0 +1,159 @@
+import { DEFAULT_TAG_FORMAT, validateTagFormat } from './tagFormat.js';
+
+// Region registry backed by the `regions` collection. A region is:
+//   {
+//     code: 'HC',                      // value clients send as `region`
+//     name: 'Humphreys County',
+//     urlTemplate: 'https://...AssetNo={assetNo}...', // {assetNo} = padded tag, {assetTag} = tag as stored
+//     padWidth: 12,                    // zero-padding applied for {assetNo}
+//     tagFormat: { ... },              // tag rules and check digit, see services/tagFormat.js
+//     active: true
+//   }
+const REGIONS_COLLECTION = 'regions';
+const CACHE_TTL_MS = 60 * 1000; // Other instances pick up admin edits within a minute
+
+// The two districts that used to be hardcoded in generateAssetUrl; seeded into an empty collection
+export const DEFAULT_REGIONS = [
+  {
+    code: 'HC',
+    name: 'Humphreys County',
+    urlTemplate: 'https://humphreys.camarathon.net/MarathonWeb/FA/Activities/Assets/AssetMain.aspx?FormAction=Edit&AssetNo={assetNo}&SortGrid=AssetNo&ItemFilterID=170851',
+    padWidth: 12,
+    tagFormat: { ...DEFAULT_TAG_FORMAT },
+    active: true,
+  },
+  {
+    code: 'YC',
+    name: 'Yazoo City',
+    urlTemplate: 'https://yazoocity.camarathon.net/MarathonWeb/FA/Activities/Assets/AssetMain.aspx?FormAction=Edit&AssetNo={assetNo}&SortGrid=AssetNo&ItemFilterID=170851',
+    padWidth: 12,
+    tagFormat: { ...DEFAULT_TAG_FORMAT },
+    active: true,
+  },
+];
+
+export const DEFAULT_REGION_CODE = 'HC';
+
+export function normalizeRegionCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// Validate a region payload from the admin API. Returns { region, errors }.
+// With `partial` only the fields present are checked (for updates).
+export function validateRegionInput(body = {}, { partial = false } = {}) {
+  const errors = [];
+  const region = {};
+
+  if (!partial || body.code !== undefined) {
+    region.code = normalizeRegionCode(body.code);
+    if (!/^[A-Z0-9_-]{1,16}$/.test(region.code)) {
+      errors.push('code must be 1-16 letters, digits, "_" or "-".');
+    }
+  }
+  if (!partial || body.name !== undefined) {
+    region.name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!region.name) errors.push('name is required.');
+  }
+  if (!partial || body.urlTemplate !== undefined) {
+    region.urlTemplate = typeof body.urlTemplate === 'string' ? body.urlTemplate.trim() : '';
+    if (!/^https?:\/\//.test(region.urlTemplate) || !/\{(assetNo|assetTag)\}/.test(region.urlTemplate)) {
+      errors.push('urlTemplate must be an http(s) URL containing {assetNo} or {assetTag}.');
+    }
+  }
+  if (!partial || body.padWidth !== undefined) {
+    region.padWidth = body.padWidth === undefined ? 0 : Number(body.padWidth);
+    if (!Number.isInteger(region.padWidth) || region.padWidth < 0 || region.padWidth > 32) {
+      errors.push('padWidth must be an integer from 0 to 32.');
+    }
+  }
+  // A tagFormat always replaces the whole format; fields it leaves out take the defaults
+  if (!partial || body.tagFormat !== undefined) {
+    const { tagFormat, errors: formatErrors } = validateTagFormat(body.tagFormat ?? {});
+    region.tagFormat = tagFormat;
+    errors.push(...formatErrors);
+  }
+  if (body.active !== undefined) {
+    region.active = body.active === true || body.active === 'true';
+  } else if (!partial) {
+    region.active = true;
+  }
+
+  return { region, errors };
+}
+
+const services = new WeakMap();
+
+// One service per db connection, so every router shares the same cache.
+export function getRegionService(db) {
+  if (!services.has(db)) {
+    services.set(db, createRegionService(db));
+  }
+  return services.get(db);
+}
+
+function createRegionService(db) {
+  const Regions = db.collection(REGIONS_COLLECTION);
+  let cache = null;
+  let cacheLoadedAt = 0;
+
+  async function loadAll() {
+    if (!cache || Date.now() - cacheLoadedAt > CACHE_TTL_MS) {
+      const regions = await Regions.find({}).sort({ code: 1 }).toArray();
+      cache = new Map(regions.map(region => [region.code, region]));
+      cacheLoadedAt = Date.now();
+    }
+    return cache;
+  }
+
+  function invalidate() {
+    cache = null;
+  }
+
+  // Create the unique index and seed the defaults when the collection is empty.
+  async function init() {
+    await Regions.createIndex({ code: 1 }, { unique: true });
+    if (await Regions.countDocuments({}) === 0) {
+      const now = new Date();
+      await Regions.insertMany(DEFAULT_REGIONS.map(region => ({ ...region, createdAt: now, updatedAt: now })));
+      console.log(`[Regions] Seeded default regions: ${DEFAULT_REGIONS.map(region => region.code).join(', ')}`);
+    }
+    invalidate();
+  }
+
+  async function list({ includeInactive = false } = {}) {
+    const regions = Array.from((await loadAll()).values());
+    return includeInactive ? regions : regions.filter(region => region.active !== false);
+  }
+
+  // Active region for a code, or null when unknown/disabled.
+  async function getRegion(code) {
+    const region = (await loadAll()).get(normalizeRegionCode(code));
+    return region && region.active !== false ? region : null;
+  }
+
+  async function create(region) {
+    const now = new Date();
+    const doc = { ...region, createdAt: now, updatedAt: now };
+    const result = await Regions.insertOne(doc);
+    invalidate();
+    return { ...doc, _id: result.insertedId };
+  }
+
+  async function update(code, changes) {
+    const result = await Regions.findOneAndUpdate(
+      { code: normalizeRegionCode(code) },
+      { $set: { ...changes, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    invalidate();
+    return result?.value !== undefined ? result.value : result; // Accommodate older driver result formats
+  }
+
+  async function remove(code) {
+    const result = await Regions.deleteOne({ code: normalizeRegionCode(code) });
+    invalidate();
+    return result.deletedCount > 0;
+  }
+
+  return { init, list, getRegion, create, update, remove, invalidate };
+}
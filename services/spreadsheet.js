@@ -0,0 +1,68 @@
+import path from 'path';
+import { parse as parseCsv } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+
+export const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Which reader a file needs, from its extension (browsers report CSV under several mimetypes)
+export function spreadsheetKind(file) {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if (ext === '.csv' || file.mimetype === 'text/csv') return 'csv';
+  if (ext === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return 'xlsx';
+  return null;
+}
+
+// Rows of an uploaded CSV or XLSX file (first worksheet) as plain objects keyed by the header
+// row. Every value is a trimmed string; blank rows are dropped. Each row also carries its
+// 1-based line number in the file as `__row` so problems can be reported against it.
+export async function readSpreadsheet(file) {
+  const kind = spreadsheetKind(file);
+  if (kind === 'csv') return readCsv(file.buffer);
+  if (kind === 'xlsx') return readXlsx(file.buffer);
+  throw new Error(`Unsupported file type; upload one of: ${SPREADSHEET_EXTENSIONS.join(', ')}.`);
+}
+
+function readCsv(buffer) {
+  const records = parseCsv(buffer, { bom: true, skip_empty_lines: true, relax_column_count: true, trim: true });
+  const [header = [], ...rows] = records;
+  return rows
+    .map((values, index) => toRow(header, values, index + 2))
+    .filter(Boolean);
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const header = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+    header[column - 1] = cell.text;
+  });
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = [];
+    // cell.text is what Excel displays, so numbers keep their formatting (e.g. leading zeros)
+    row.eachCell({ includeEmpty: true }, (cell, column) => {
+      values[column - 1] = cell.text;
+    });
+    const parsed = toRow(header, values, rowNumber);
+    if (parsed) rows.push(parsed);
+  });
+  return rows;
+}
+
+function toRow(header, values, rowNumber) {
+  const row = { __row: rowNumber };
+  let hasValue = false;
+  header.forEach((name, index) => {
+    const key = String(name || '').trim();
+    if (!key) return;
+    const value = values[index] === undefined || values[index] === null ? '' : String(values[index]).trim();
+    if (value) hasValue = true;
+    row[key] = value;
+  });
+  return hasValue ? row : null;
+}
@@ -0,0 +1,141 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+
+// Streaming asset tag exports. Rows are written as they come off the Mongo cursor, so a
+// district-wide export never holds every tag in memory.
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+// Columns that can be picked with ?columns=a,b,c. `value` gets the tag and the export context
+// ({ session }) and returns null when the tag has no value; `blank` fills empty CSV/XLSX cells.
+export const EXPORT_COLUMNS = {
+  roomNumber: { label: 'Room Number', value: tag => tag.roomNumber || null, blank: 'N/A' },
+  assetTag: { label: 'Asset Tag', value: tag => tag.assetTag },
+  assetUrl: { label: 'Asset URL', value: tag => tag.assetUrl || null },
+  scannedAt: { label: 'Date Recorded', value: tag => (tag.scannedAt ? new Date(tag.scannedAt).toISOString() : null) },
+  region: { label: 'Region', value: tag => tag.region || null },
+  userEmail: { label: 'User Email', value: tag => tag.userEmail || null },
+  aiModel: { label: 'AI Model', value: tag => tag.aiModel || null },
+  captureDetail: { label: 'Capture Detail', value: tag => tag.captureDetail || null },
+  sourceImageOriginalName: { label: 'Source Image', value: tag => tag.sourceImageOriginalName || null },
+  source: { label: 'Source', value: tag => tag.source || null },
+  status: { label: 'Status', value: tag => tag.status || null },
+  session: {
+    label: 'Session',
+    value: (tag, { session }) => (session ? session.name : tag.sessionId ? String(tag.sessionId) : null),
+  },
+};
+
+// The columns the export always had; a session export adds the session name, and an export
+// that includes unreviewed reads adds their status so they can't pass for final ones
+export const DEFAULT_EXPORT_COLUMNS = ['roomNumber', 'assetTag', 'assetUrl', 'scannedAt'];
+
+// Parse ?columns= (comma separated keys of EXPORT_COLUMNS). Returns { columns, errors }.
+export function parseExportColumns(param, { session = null, includeStatus = false } = {}) {
+  if (!param) {
+    const columns = [...DEFAULT_EXPORT_COLUMNS];
+    if (includeStatus) columns.push('status');
+    if (session) columns.push('session');
+    return { columns, errors: [] };
+  }
+  const columns = [...new Set(String(param).split(',').map(key => key.trim()).filter(Boolean))];
+  const unknown = columns.filter(key => !EXPORT_COLUMNS[key]);
+  if (unknown.length) {
+    return { columns: [], errors: [`Unknown column(s): ${unknown.join(', ')}. Choose from: ${Object.keys(EXPORT_COLUMNS).join(', ')}.`] };
+  }
+  if (columns.length === 0) {
+    return { columns: [], errors: ['columns must name at least one column.'] };
+  }
+  return { columns, errors: [] };
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function clientGone() {
+  return new Error('The client closed the connection before the export finished.');
+}
+
+// Wait until `stream` wants more data. A client that disconnects never drains the response, so
+// closing (or an error) ends the wait too, with an error that stops the export.
+async function drained(stream) {
+  if (stream.destroyed) throw clientGone();
+  if (!stream.writableNeedDrain) return;
+  const waiting = new AbortController();
+  try {
+    await Promise.race([
+      once(stream, 'drain', { signal: waiting.signal }),
+      once(stream, 'close', { signal: waiting.signal }).then(() => {
+        throw clientGone();
+      }),
+    ]);
+  } finally {
+    waiting.abort(); // Drop the listener that lost the race
+  }
+}
+
+// Respect backpressure so a slow client doesn't make the response buffer the whole export
+async function write(stream, chunk) {
+  if (stream.destroyed) throw clientGone();
+  if (!stream.write(chunk)) await drained(stream);
+}
+
+// Write every tag from `tags` (an async iterable, e.g. a find() cursor) to `res` in `format`.
+// Headers are sent before the first row; after that, errors can only abort the response.
+// Resolves to the number of rows written; rejects when the client goes away. Closing `tags`
+// is left to the caller.
+export async function streamTagExport(res, tags, { format, columns, filename, context = {} }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const picked = columns.map(key => ({ key, ...EXPORT_COLUMNS[key] }));
+  const cells = tag => picked.map(column => {
+    const value = column.value(tag, context);
+    return value === null || value === undefined ? column.blank || '' : value;
+  });
+  const record = tag => Object.fromEntries(picked.map(column => [column.key, column.value(tag, context) ?? null]));
+
+  res.attachment(`${filename}.${extension}`);
+  res.setHeader('Content-Type', contentType); // After attachment(), which guesses one from the extension
+  let rows = 0;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Asset Tags');
+    sheet.columns = picked.map(column => ({ header: column.label, key: column.key, width: 20 }));
+    for await (const tag of tags) {
+      sheet.addRow(cells(tag)).commit();
+      rows += 1;
+      await drained(res); // commit() queues the row without waiting for the client
+    }
+    sheet.commit();
+    await workbook.commit(); // Ends the response
+    return rows;
+  }
+
+  if (format === 'csv') {
+    await write(res, picked.map(column => csvField(column.label)).join(',') + '\r\n');
+    for await (const tag of tags) {
+      await write(res, cells(tag).map(csvField).join(',') + '\r\n');
+      rows += 1;
+    }
+  } else if (format === 'ndjson') {
+    for await (const tag of tags) {
+      await write(res, JSON.stringify(record(tag)) + '\n');
+      rows += 1;
+    }
+  } else {
+    await write(res, '[');
+    for await (const tag of tags) {
+      await write(res, (rows ? ',\n' : '\n') + JSON.stringify(record(tag)));
+      rows += 1;
+    }
+    await write(res, rows ? '\n]\n' : ']\n');
+  }
+  res.end();
+  return rows;
+}
@@ -0,0 +1,180 @@
+// Asset tag format rules, configured per region (`region.tagFormat`, see services/regions.js).
+// The same definition builds the OCR prompt, finds tags in raw OCR/barcode text and validates
+// what the model returned or the user typed:
+//   {
+//     description: 'a 5 digit number',  // how the prompt describes the tag
+//     example: '12345',                 // sample tag shown to the model
+//     pattern: '^\\d{5}$',              // regex the normalized tag must match
+//     minLength: 5, maxLength: 5,       // optional length bounds on the normalized tag
+//     uppercase: true,                  // normalize letters to upper case
+//     removeSeparators: true,           // drop spaces and hyphens ("12-345" -> "12345")
+//     stripLeadingZeros: true,          // "0012345" -> "12345"
+//     checksum: 'none',                 // 'none' | 'luhn' | 'mod10' | 'mod11'; the last character is the check digit
+//     onChecksumFailure: 'flag'         // 'flag' saves the read for review, 'reject' drops it
+//   }
+export const CHECKSUM_ALGORITHMS = ['none', 'luhn', 'mod10', 'mod11'];
+export const CHECKSUM_FAILURE_ACTIONS = ['flag', 'reject'];
+
+// The rules the app was built around: a 5 digit number that may carry extra leading zeros
+export const DEFAULT_TAG_FORMAT = {
+  description: 'a 5 digit number',
+  example: '12345',
+  pattern: '^\\d{5}$',
+  minLength: null,
+  maxLength: null,
+  uppercase: true,
+  removeSeparators: true,
+  stripLeadingZeros: true,
+  checksum: 'none',
+  onChecksumFailure: 'flag',
+};
+
+// Full format for a region: its overrides on top of the defaults
+export function tagFormatFor(region) {
+  return { ...DEFAULT_TAG_FORMAT, ...(region && region.tagFormat) };
+}
+
+export function normalizeAssetTag(raw, format = DEFAULT_TAG_FORMAT) {
+  if (raw === null || raw === undefined) return '';
+  let tag = String(raw).trim();
+  if (format.removeSeparators) tag = tag.replace(/[\s-]+/g, '');
+  if (format.uppercase) tag = tag.toUpperCase();
+  // Keep at least one character so an all-zero tag doesn't disappear
+  if (format.stripLeadingZeros) tag = tag.replace(/^0+(?=.)/, '');
+  return tag;
+}
+
+// Check digit algorithms. Each takes the tag without its check character and returns the
+// expected check character. Letters (e.g. a site prefix) are ignored; only digits count.
+const checkDigitCalculators = {
+  // Luhn (credit card style): double every second digit from the right
+  luhn(payload) {
+    let sum = 0;
+    [...payload].reverse().forEach((digit, index) => {
+      let value = Number(digit);
+      if (index % 2 === 0) {
+        value *= 2;
+        if (value > 9) value -= 9;
+      }
+      sum += value;
+    });
+    return String((10 - (sum % 10)) % 10);
+  },
+  // Plain digit sum modulo 10
+  mod10(payload) {
+    const sum = [...payload].reduce((total, digit) => total + Number(digit), 0);
+    return String((10 - (sum % 10)) % 10);
+  },
+  // Weights 2, 3, 4, ... from the right; a remainder of 10 is written as "X"
+  mod11(payload) {
+    const sum = [...payload].reverse().reduce((total, digit, index) => total + Number(digit) * (index + 2), 0);
+    const check = (11 - (sum % 11)) % 11;
+    return check === 10 ? 'X' : String(check);
+  },
+};
+
+// Whether the tag's last character is the right check digit for the rest of it.
+export function verifyChecksum(tag, algorithm) {
+  const calculate = checkDigitCalculators[algorithm];
+  if (!calculate) return true;
+  if (typeof tag !== 'string' || tag.length < 2) return false;
+  const payload = tag.slice(0, -1).replace(/\D/g, '');
+  if (payload === '') return false;
+  return calculate(payload) === tag.slice(-1).toUpperCase();
+}
+
+// Normalize and validate one tag. Returns:
+//   { assetTag, formatValid, checksumValid, error }
+// `checksumValid` is undefined when the format has no checksum; `error` describes the first
+// problem found ('format' failures come before 'checksum' ones).
+export function checkAssetTag(raw, format = DEFAULT_TAG_FORMAT) {
+  const assetTag = normalizeAssetTag(raw, format);
+  const result = { assetTag, formatValid: false, checksumValid: undefined, error: null };
+
+  if (assetTag === '') {
+    result.error = 'Asset tag is empty.';
+    return result;
+  }
+  if ((format.minLength && assetTag.length < format.minLength) || (format.maxLength && assetTag.length > format.maxLength)) {
+    result.error = `Asset tag must be ${describeLength(format)} characters.`;
+    return result;
+  }
+  if (format.pattern && !new RegExp(format.pattern).test(assetTag)) {
+    result.error = `Asset tag does not match ${format.description || 'the expected format'}.`;
+    return result;
+  }
+  result.formatValid = true;
+
+  if (format.checksum && format.checksum !== 'none') {
+    result.checksumValid = verifyChecksum(assetTag, format.checksum);
+    if (!result.checksumValid) {
+      result.error = `Asset tag fails its ${format.checksum} check digit.`;
+    }
+  }
+  return result;
+}
+
+function describeLength({ minLength, maxLength }) {
+  if (minLength && maxLength) return minLength === maxLength ? `${minLength}` : `${minLength}-${maxLength}`;
+  return minLength ? `at least ${minLength}` : `at most ${maxLength}`;
+}
+
+// Validate a tagFormat from the admin API (merged onto the defaults). Returns { tagFormat, errors }.
+export function validateTagFormat(input = {}) {
+  const errors = [];
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { tagFormat: null, errors: ['tagFormat must be an object.'] };
+  }
+  const tagFormat = { ...DEFAULT_TAG_FORMAT };
+
+  for (const key of ['description', 'example', 'pattern']) {
+    if (input[key] === undefined) continue;
+    if (typeof input[key] !== 'string' || input[key].trim() === '') {
+      errors.push(`tagFormat.${key} must be a non-empty string.`);
+    } else {
+      tagFormat[key] = input[key].trim();
+    }
+  }
+  try {
+    new RegExp(tagFormat.pattern);
+  } catch (err) {
+    errors.push(`tagFormat.pattern is not a valid regular expression: ${err.message}`);
+  }
+
+  for (const key of ['minLength', 'maxLength']) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+    const value = Number(input[key]);
+    if (!Number.isInteger(value) || value < 1 || value > 64) {
+      errors.push(`tagFormat.${key} must be an integer from 1 to 64.`);
+    } else {
+      tagFormat[key] = value;
+    }
+  }
+  if (tagFormat.minLength && tagFormat.maxLength && tagFormat.minLength > tagFormat.maxLength) {
+    errors.push('tagFormat.minLength cannot be greater than maxLength.');
+  }
+
+  for (const key of ['uppercase', 'removeSeparators', 'stripLeadingZeros']) {
+    if (input[key] !== undefined) tagFormat[key] = input[key] === true || input[key] === 'true';
+  }
+
+  if (input.checksum !== undefined) {
+    const checksum = String(input.checksum || 'none').toLowerCase();
+    if (CHECKSUM_ALGORITHMS.includes(checksum)) tagFormat.checksum = checksum;
+    else errors.push(`tagFormat.checksum must be one of: ${CHECKSUM_ALGORITHMS.join(', ')}.`);
+  }
+  if (input.onChecksumFailure !== undefined) {
+    const action = String(input.onChecksumFailure).toLowerCase();
+    if (CHECKSUM_FAILURE_ACTIONS.includes(action)) tagFormat.onChecksumFailure = action;
+    else errors.push(`tagFormat.onChecksumFailure must be one of: ${CHECKSUM_FAILURE_ACTIONS.join(', ')}.`);
+  }
+
+  // The example is what the model is told a tag looks like, so it has to be a valid one
+  if (errors.length === 0) {
+    const example = checkAssetTag(tagFormat.example, tagFormat);
+    if (!example.formatValid || example.checksumValid === false) {
+      errors.push(`tagFormat.example '${tagFormat.example}' is not valid for this format: ${example.error}`);
+    }
+  }
+  return { tagFormat, errors };
+}
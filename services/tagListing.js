@@ -0,0 +1,103 @@
+import { normalizeRegionCode } from './regions.js';
+import { normalizeAssetTag } from './tagFormat.js';
+import { parseDateParam } from './dates.js';
+
+// Query parameters of the tag listings (GET /api/manage/tags and /all):
+//   page, limit          1-based page of at most MAX_PAGE_SIZE tags (default DEFAULT_PAGE_SIZE). Without
+//                        either, the listing is every matching tag, as the routes answered before paging
+//   sort, order          one of TAG_SORT_FIELDS, 'asc' | 'desc' (default scannedAt, desc)
+//   region, aiModel, roomNumber, source, userId (only where allowed)
+//   from, to             scannedAt range, see parseDateParam
+//   q                    asset tag prefix, normalized like a typed tag ("00-123" -> "123")
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+export const TAG_SORT_FIELDS = ['scannedAt', 'assetTag', 'roomNumber', 'region', 'userEmail', 'aiModel'];
+export const TAG_SOURCES = ['manual', 'ocr', 'barcode'];
+
+// Indexes behind the filters above; every listing query starts with orgId
+export const TAG_LIST_INDEXES = [
+  { orgId: 1, scannedAt: -1 },
+  { orgId: 1, region: 1, scannedAt: -1 },
+  { orgId: 1, roomNumber: 1, scannedAt: -1 },
+  { orgId: 1, aiModel: 1, scannedAt: -1 },
+  { orgId: 1, source: 1, scannedAt: -1 },
+];
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A parameter that may be repeated (?roomNumber=101&roomNumber=102 arrives as an array). With `split`,
+// values are also split on commas, for codes that can't contain one.
+export function listParam(value, { split = false } = {}) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = (Array.isArray(value) ? value : [value]).map(String);
+  return [...new Set((split ? values.flatMap(item => item.split(',')) : values).map(item => item.trim()).filter(Boolean))];
+}
+
+// Tags saved before `source` existed (and before barcodes were decoded) have none: manual entries
+// are recognized by their sourceImageOriginalName, everything else was read by OCR
+function sourceFilter(source) {
+  if (source === 'barcode') return { source };
+  const legacy = { source: { $exists: false }, sourceImageOriginalName: source === 'manual' ? 'manual_entry' : { $ne: 'manual_entry' } };
+  return { $or: [{ source }, legacy] };
+}
+
+function positiveInt(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// Turn listing query parameters into { listing: { filter, sort, paged, page, limit, skip }, errors }.
+// `filter` holds only the optional filters; callers add the organization/user scope.
+export function parseTagListQuery(params = {}, { allowUserFilter = false } = {}) {
+  const errors = [];
+  const filter = {};
+  const paged = params.page !== undefined || params.limit !== undefined;
+
+  const page = positiveInt(params.page, 1);
+  if (page === null) errors.push('page must be a positive integer.');
+  const limit = positiveInt(params.limit, DEFAULT_PAGE_SIZE);
+  if (limit === null || limit > MAX_PAGE_SIZE) errors.push(`limit must be an integer from 1 to ${MAX_PAGE_SIZE}.`);
+
+  const sortField = params.sort || 'scannedAt';
+  if (!TAG_SORT_FIELDS.includes(sortField)) errors.push(`sort must be one of: ${TAG_SORT_FIELDS.join(', ')}.`);
+  const order = params.order || 'desc';
+  if (order !== 'asc' && order !== 'desc') errors.push("order must be 'asc' or 'desc'.");
+  const direction = order === 'asc' ? 1 : -1;
+  // _id breaks ties so pages don't overlap when many tags share a value
+  const sort = { [sortField]: direction, _id: direction };
+
+  if (params.region) filter.region = normalizeRegionCode(params.region);
+  if (params.aiModel) filter.aiModel = String(params.aiModel).trim().toLowerCase();
+  if (params.roomNumber) filter.roomNumber = String(params.roomNumber);
+  if (params.source) {
+    if (!TAG_SOURCES.includes(params.source)) errors.push(`source must be one of: ${TAG_SOURCES.join(', ')}.`);
+    else Object.assign(filter, sourceFilter(params.source));
+  }
+  if (params.userId) {
+    if (!allowUserFilter) errors.push('userId can only be used when listing all users\' tags.');
+    else filter.userId = String(params.userId);
+  }
+
+  const from = parseDateParam(params.from);
+  const to = parseDateParam(params.to, { endOfDay: true });
+  if (from === undefined || to === undefined) {
+    errors.push('from and to must be dates (YYYY-MM-DD or ISO 8601).');
+  } else if (from && to && from > to) {
+    errors.push('from must not be after to.');
+  } else if (from || to) {
+    filter.scannedAt = {};
+    if (from) filter.scannedAt.$gte = from;
+    if (to) filter.scannedAt.$lte = to;
+  }
+
+  // An anchored, case-sensitive prefix can use the { orgId, assetTag, ... } index
+  if (params.q) {
+    const prefix = normalizeAssetTag(params.q);
+    if (prefix) filter.assetTag = { $regex: `^${escapeRegex(prefix)}` };
+  }
+
+  return { listing: { filter, sort, paged, page, limit, skip: (page - 1) * limit }, errors };
+}
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAssetTagStore, resolveDuplicatePolicy } from '../services/assetTagStore.js';
+
+// Just enough of a collection for saveTag: equality queries, the unique partial index on
+// orgId + assetTag + region where isOriginal, and the pipeline updates of merge and skip
+function memoryDb() {
+  const docs = [];
+  let nextId = 1;
+  const matches = (doc, query) => Object.entries(query).every(([key, value]) => String(doc[key]) === String(value));
+  const evaluate = (doc, expression) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) return doc[expression.slice(1)];
+    if (Array.isArray(expression)) return expression.map(item => evaluate(doc, item));
+    if (expression && typeof expression === 'object' && !(expression instanceof Date)) {
+      const [[operator, args]] = Object.entries(expression);
+      if (operator === '$literal') return args;
+      const values = args.map(arg => evaluate(doc, arg));
+      if (operator === '$ifNull') return values[0] ?? values[1];
+      if (operator === '$add') return values[0] + values[1];
+      if (operator === '$setUnion') return [...new Set(values.flat())];
+      if (operator === '$concatArrays') return values.flat();
+      throw new Error(`Unsupported operator ${operator}`);
+    }
+    return expression;
+  };
+  const collection = {
+    docs,
+    async insertOne(doc) {
+      const clash = doc.isOriginal && docs.some(other => other.isOriginal
+        && ['orgId', 'assetTag', 'region'].every(key => String(other[key]) === String(doc[key])));
+      if (clash) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      const stored = { ...doc, _id: nextId++ };
+      docs.push(stored);
+      return { insertedId: stored._id };
+    },
+    async findOne(query) {
+      return docs.find(doc => matches(doc, query)) || null;
+    },
+    async findOneAndUpdate(query, pipeline) {
+      const doc = docs.find(item => matches(item, query));
+      if (!doc) return null;
+      for (const [key, expression] of Object.entries(pipeline[0].$set)) doc[key] = evaluate(doc, expression);
+      return { ...doc };
+    },
+  };
+  return { collection: () => collection, docs };
+}
+
+const scan = (userId, extra = {}) => ({ orgId: 'org1', assetTag: '12345', region: 'HC', userId, userEmail: `${userId}@x`, scannedAt: new Date(), ...extra });
+
+test('resolveDuplicatePolicy falls back for unknown values', () => {
+  assert.equal(resolveDuplicatePolicy(' MERGE '), 'merge');
+  assert.equal(resolveDuplicatePolicy('delete'), 'flag');
+  assert.equal(resolveDuplicatePolicy(undefined, 'skip'), 'skip');
+});
+
+test('the first scan is the original; later ones are flagged by default', async () => {
+  const db = memoryDb();
+  const store = createAssetTagStore(db);
+  const first = await store.saveTag(scan('a'));
+  const second = await store.saveTag(scan('b'));
+  assert.equal(first.decision, 'new');
+  assert.equal(first.tag.isOriginal, true);
+  assert.equal(second.decision, 'flagged');
+  assert.equal(second.existingTagId, first.tag._id);
+  assert.equal(second.tag.isDuplicate, true);
+  assert.equal(second.tag.isOriginal, undefined);
+  assert.equal(db.docs.length, 2);
+});
+
+test('another organization or region is not a duplicate', async () => {
+  const store = createAssetTagStore(memoryDb());
+  await store.saveTag(scan('a'));
+  assert.equal((await store.saveTag(scan('a', { orgId: 'org2' }))).decision, 'new');
+  assert.equal((await store.saveTag(scan('a', { region: 'YC' }))).decision, 'new');
+});
+
+test('skip and merge save nothing new but record the rescan', async () => {
+  const db = memoryDb();
+  const store = createAssetTagStore(db, { duplicatePolicy: 'merge' });
+  const { tag } = await store.saveTag(scan('a', { sessionId: 's1' }));
+  const merged = await store.saveTag(scan('b', { sessionId: 's2' }));
+  assert.equal(merged.decision, 'merged');
+  assert.equal(merged.tag.scanCount, 2);
+  assert.equal(merged.tag.lastSeenBy, 'b');
+  assert.deepEqual(merged.tag.sessionIds, ['s1', 's2']);
+
+  const skipped = await store.saveTag(scan('c', { sessionId: 's3' }), { policy: 'skip' });
+  assert.equal(skipped.decision, 'skipped');
+  assert.equal(skipped.existingTagId, tag._id);
+  assert.equal(skipped.tag.scanCount, 2);
+  assert.deepEqual(skipped.tag.sessionIds, ['s1', 's2', 's3']);
+  assert.deepEqual(skipped.tag.sightings.map(({ sessionId, userId }) => [sessionId, userId]), [['s1', 'a'], ['s2', 'b'], ['s3', 'c']]);
+  assert.equal(db.docs.length, 1);
+});
+
+test('scans saved at the same moment get exactly one original', async () => {
+  const db = memoryDb();
+  const store = createAssetTagStore(db);
+  const results = await Promise.all(['a', 'b', 'c'].map(user => store.saveTag(scan(user))));
+  assert.deepEqual(results.map(result => result.decision).sort(), ['flagged', 'flagged', 'new']);
+  assert.equal(db.docs.filter(doc => doc.isOriginal).length, 1);
+});
+
+test('tags must belong to an organization', async () => {
+  await assert.rejects(createAssetTagStore(memoryDb()).saveTag(scan('a', { orgId: undefined })), /organization/);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assetTagFromBarcode } from '../services/ocr/barcode.js';
+import { DEFAULT_TAG_FORMAT } from '../services/tagFormat.js';
+
+test('a payload that is an asset tag is normalized like a typed one', () => {
+  assert.equal(assetTagFromBarcode('12345'), '12345');
+  assert.equal(assetTagFromBarcode(' 0012-345\n'), '12345');
+});
+
+test('serial and model numbers are not read as asset tags', () => {
+  assert.equal(assetTagFromBarcode('5CD12345XY'), null);
+  assert.equal(assetTagFromBarcode('SN 12345'), null);
+  assert.equal(assetTagFromBarcode('https://example.com/asset/12345'), null);
+  assert.equal(assetTagFromBarcode(''), null);
+});
+
+test('the check digit must pass', () => {
+  const luhn = { ...DEFAULT_TAG_FORMAT, checksum: 'luhn' };
+  assert.equal(assetTagFromBarcode('12344', luhn), '12344');
+  assert.equal(assetTagFromBarcode('12345', luhn), null);
+});
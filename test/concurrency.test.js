@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLimiter, mapWithConcurrency } from '../services/ocr/concurrency.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('mapWithConcurrency keeps the order of the items, not of completion', async () => {
+  const results = await mapWithConcurrency([30, 5, 20, 1], 4, async (ms, index) => {
+    await delay(ms);
+    return `${index}:${ms}`;
+  });
+  assert.deepEqual(results, ['0:30', '1:5', '2:20', '3:1']);
+});
+
+test('mapWithConcurrency never runs more than `limit` calls at once', async () => {
+  let running = 0;
+  let peak = 0;
+  await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await delay(2);
+    running -= 1;
+  });
+  assert.equal(peak, 3);
+});
+
+test('mapWithConcurrency handles an empty list and a missing limit', async () => {
+  assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  assert.deepEqual(await mapWithConcurrency([1, 2], undefined, async n => n * 2), [2, 4]);
+});
+
+test('createLimiter caps calls in flight and starts queued calls in FIFO order', async () => {
+  const limiter = createLimiter({ maxConcurrent: 2 });
+  const started = [];
+  let running = 0;
+  let peak = 0;
+  const calls = [1, 2, 3, 4, 5].map(n => limiter.schedule(async () => {
+    started.push(n);
+    running += 1;
+    peak = Math.max(peak, running);
+    await delay(5);
+    running -= 1;
+    return n;
+  }));
+  assert.equal(limiter.active, 2);
+  assert.equal(limiter.pending, 3);
+  assert.deepEqual(await Promise.all(calls), [1, 2, 3, 4, 5]);
+  assert.deepEqual(started, [1, 2, 3, 4, 5]);
+  assert.equal(peak, 2);
+});
+
+test('createLimiter passes rejections through and keeps going', async () => {
+  const limiter = createLimiter({ maxConcurrent: 1 });
+  const failing = limiter.schedule(async () => { throw new Error('boom'); });
+  const next = limiter.schedule(async () => 'ok');
+  await assert.rejects(failing, /boom/);
+  assert.equal(await next, 'ok');
+});
+
+test('createLimiter starts no more than requestsPerMinute calls in any 60s window', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const limiter = createLimiter({ requestsPerMinute: 2 });
+  const ran = [];
+  const calls = [1, 2, 3].map(n => limiter.schedule(async () => ran.push(n)));
+  await Promise.all(calls.slice(0, 2));
+  assert.deepEqual(ran, [1, 2]);
+  assert.equal(limiter.pending, 1);
+
+  t.mock.timers.tick(59999);
+  assert.equal(limiter.pending, 1);
+  t.mock.timers.tick(1);
+  await calls[2];
+  assert.deepEqual(ran, [1, 2, 3]);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDateParam } from '../services/dates.js';
+
+// [first instant, last millisecond] of a local day, as ISO strings
+function day(value, timeZone) {
+  return [
+    parseDateParam(value, { timeZone }).toISOString(),
+    parseDateParam(value, { timeZone, endOfDay: true }).toISOString(),
+  ];
+}
+
+test('a day without a DST change is 24 hours', () => {
+  assert.deepEqual(day('2026-06-01', 'UTC'), ['2026-06-01T00:00:00.000Z', '2026-06-01T23:59:59.999Z']);
+  assert.deepEqual(day('2026-06-01', 'America/Chicago'), ['2026-06-01T05:00:00.000Z', '2026-06-02T04:59:59.999Z']);
+});
+
+test('America/Chicago: the spring day is 23 hours and the autumn day 25', () => {
+  assert.deepEqual(day('2026-03-08', 'America/Chicago'), ['2026-03-08T06:00:00.000Z', '2026-03-09T04:59:59.999Z']);
+  assert.deepEqual(day('2026-11-01', 'America/Chicago'), ['2026-11-01T05:00:00.000Z', '2026-11-02T05:59:59.999Z']);
+});
+
+test('Europe/London: changes at 01:00 UTC', () => {
+  assert.deepEqual(day('2026-03-29', 'Europe/London'), ['2026-03-29T00:00:00.000Z', '2026-03-29T22:59:59.999Z']);
+  assert.deepEqual(day('2026-10-25', 'Europe/London'), ['2026-10-24T23:00:00.000Z', '2026-10-25T23:59:59.999Z']);
+});
+
+test('America/Santiago: a day whose midnight is skipped starts when the clocks jump', () => {
+  // 2026-09-06 00:00 doesn't exist; clocks go from 23:59:59 (-04) to 01:00 (-03)
+  assert.deepEqual(day('2026-09-06', 'America/Santiago'), ['2026-09-06T04:00:00.000Z', '2026-09-07T02:59:59.999Z']);
+  assert.deepEqual(day('2026-09-05', 'America/Santiago'), ['2026-09-05T04:00:00.000Z', '2026-09-06T03:59:59.999Z']);
+});
+
+test('America/Santiago: the hour repeated before midnight belongs to the day before', () => {
+  assert.deepEqual(day('2026-04-04', 'America/Santiago'), ['2026-04-04T03:00:00.000Z', '2026-04-05T03:59:59.999Z']);
+  assert.deepEqual(day('2026-04-05', 'America/Santiago'), ['2026-04-05T04:00:00.000Z', '2026-04-06T03:59:59.999Z']);
+});
+
+test('invalid and missing values', () => {
+  assert.equal(parseDateParam('2026-02-30'), undefined);
+  assert.equal(parseDateParam('not a date'), undefined);
+  assert.equal(parseDateParam(''), null);
+  assert.equal(parseDateParam('2026-03-01T12:00:00Z', { timeZone: 'America/Chicago' }).toISOString(), '2026-03-01T12:00:00.000Z');
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import sharp from 'sharp';
+import { createImageCache } from '../services/ocr/imageCache.js';
+import { computeImageHashes, hammingDistance } from '../services/ocr/imageHash.js';
+
+// Just enough of a collection for the cache: equality and $in queries, upserts by $setOnInsert
+function memoryDb() {
+  const docs = [];
+  let nextId = 1;
+  const matches = (doc, query) => Object.entries(query).every(([key, value]) => {
+    if (value && value.$in) return [].concat(doc[key]).some(item => value.$in.includes(item));
+    return String(doc[key]) === String(value);
+  });
+  const collection = {
+    async createIndex() {},
+    async dropIndex() {},
+    async findOne(query) {
+      return docs.find(doc => matches(doc, query)) || null;
+    },
+    find(query) {
+      const found = docs.filter(doc => matches(doc, query));
+      return { limit: n => ({ toArray: async () => found.slice(0, n) }) };
+    },
+    async updateOne() {},
+    async findOneAndUpdate(query, update) {
+      let doc = docs.find(item => matches(item, query));
+      if (!doc) {
+        doc = { _id: nextId++, ...update.$setOnInsert };
+        docs.push(doc);
+      }
+      return doc;
+    },
+  };
+  return { collection: () => collection };
+}
+
+const scope = { orgId: 'org1', region: 'HC' };
+const result = { source: 'ocr', text: '12345', reads: [{ assetTag: '12345' }] };
+
+test('a re-encoded copy of a photo reuses the earlier read', async () => {
+  const original = await readFile(new URL('../test_image.jpg', import.meta.url));
+  const reencoded = await sharp(original).jpeg({ quality: 60 }).toBuffer();
+  const originalHashes = await computeImageHashes(original);
+  const copyHashes = await computeImageHashes(reencoded);
+  assert.notEqual(copyHashes.sha256, originalHashes.sha256);
+  assert.ok(hammingDistance(originalHashes.pHash, copyHashes.pHash) <= 4);
+
+  const cache = createImageCache(memoryDb());
+  await cache.store(originalHashes, 'single', scope, result);
+  const hit = await cache.lookup(copyHashes, 'single', scope);
+  assert.equal(hit.match, 'perceptual');
+  assert.deepEqual(hit.entry.result, result);
+
+  assert.equal(await cache.lookup(copyHashes, 'multi', scope), null);
+  assert.equal(await cache.lookup(copyHashes, 'single', { ...scope, orgId: 'org2' }), null);
+  assert.equal(await cache.lookup(copyHashes, 'single', { ...scope, region: 'YC' }), null);
+});
+
+test('exact content and identical perceptual hashes match even with maxDistance 0', async () => {
+  const cache = createImageCache(memoryDb(), { maxDistance: 0 });
+  await cache.store({ sha256: 'aaa', pHash: '0f0f0f0f0f0f0f0f' }, 'single', scope, result);
+  assert.equal((await cache.lookup({ sha256: 'aaa', pHash: null }, 'single', scope)).match, 'exact');
+  const samePHash = await cache.lookup({ sha256: 'bbb', pHash: '0f0f0f0f0f0f0f0f' }, 'single', scope);
+  assert.deepEqual([samePHash.match, samePHash.distance], ['perceptual', 0]);
+  assert.equal(await cache.lookup({ sha256: 'ccc', pHash: '0f0f0f0f0f0f0f0e' }, 'single', scope), null);
+});
+
+test('photos further apart than maxDistance are read afresh', async () => {
+  const cache = createImageCache(memoryDb(), { maxDistance: 2 });
+  await cache.store({ sha256: 'aaa', pHash: '0f0f0f0f0f0f0f0f' }, 'single', scope, result);
+  assert.equal((await cache.lookup({ sha256: 'bbb', pHash: '0f0f0f0f0f0f0f0c' }, 'single', scope)).distance, 2);
+  assert.equal(await cache.lookup({ sha256: 'ccc', pHash: '0f0f0f0f0f0f0f08' }, 'single', scope), null);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMasterAssetStore } from '../services/masterAssets.js';
+
+// Just enough of the collections for reconcile: equality, $nin and array-membership queries
+// over master_assets, asset_tags and locations
+function memoryDb(seed) {
+  const matchesValue = (actual, expected) => {
+    if (expected && typeof expected === 'object' && '$nin' in expected) return !expected.$nin.includes(actual);
+    if (Array.isArray(actual)) return actual.some(item => String(item) === String(expected));
+    return String(actual) === String(expected);
+  };
+  const matches = (doc, query) => Object.entries(query).every(([key, value]) => matchesValue(doc[key], value));
+  const cursor = docs => ({
+    sort: () => cursor(docs),
+    limit: count => cursor(docs.slice(0, count)),
+    toArray: async () => docs,
+    [Symbol.asyncIterator]: async function* iterate() { yield* docs; },
+  });
+  const collections = {};
+  return {
+    collection(name) {
+      const docs = seed[name] || [];
+      collections[name] ||= {
+        find: query => cursor(docs.filter(doc => matches(doc, query))),
+        countDocuments: async query => docs.filter(doc => matches(doc, query)).length,
+      };
+      return collections[name];
+    },
+  };
+}
+
+const room101 = { _id: 'loc101', orgId: 'org1', type: 'room', name: 'Library', path: ['site', 'loc101'], matchKeys: ['LIBRARY', '101'] };
+const asset = (assetNumber, expectedRoom) => ({ orgId: 'org1', region: 'HC', assetNumber, expectedRoom });
+const tag = (assetTag, extra = {}) => ({ _id: `tag-${assetTag}`, orgId: 'org1', region: 'HC', assetTag, status: 'final', scannedAt: new Date('2026-01-05'), ...extra });
+
+test('reconcile matches rooms loosely and through the linked location', async () => {
+  const store = createMasterAssetStore(memoryDb({
+    master_assets: [asset('1001', 'Room 101'), asset('1002', 'Library'), asset('1003', '101'), asset('1004', '')],
+    asset_tags: [
+      tag('1001', { roomNumber: 'rm 101' }),
+      tag('1002', { roomNumber: 'Lib', locationId: 'loc101', locationPath: ['site', 'loc101'] }),
+      tag('1003', { roomNumber: '102' }),
+      tag('1004', { roomNumber: '999' }),
+      tag('2000', { roomNumber: '101' }),
+    ],
+    locations: [room101],
+  }));
+  const { summary, items } = await store.reconcile('org1');
+  const statusOf = number => items.find(item => item.assetNumber === number).status;
+  assert.equal(statusOf('1001'), 'found');
+  assert.equal(statusOf('1002'), 'found');
+  assert.equal(statusOf('1003'), 'wrongRoom');
+  assert.equal(statusOf('1004'), 'found');
+  assert.equal(statusOf('2000'), 'unknown');
+  assert.deepEqual(summary, { registered: 4, found: 3, wrongRoom: 1, missing: 0, unknown: 1, needsReview: 0 });
+});
+
+test('reconcile leaves unreviewed reads out and counts them separately', async () => {
+  const store = createMasterAssetStore(memoryDb({
+    master_assets: [asset('1001', '101'), asset('1002', '101')],
+    asset_tags: [
+      tag('1001', { roomNumber: '101', status: 'needsReview' }),
+      tag('1002', { roomNumber: '101', status: 'rejected' }),
+      tag('3000', { roomNumber: '101', status: 'needsReview' }),
+    ],
+    locations: [],
+  }));
+  const { summary, items } = await store.reconcile('org1');
+  assert.deepEqual(items.map(item => item.status), ['missing', 'missing']);
+  assert.deepEqual(summary, { registered: 2, found: 0, wrongRoom: 0, missing: 2, unknown: 0, needsReview: 2 });
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeProvider, createOcrRunner, createProviderRegistry } from '../services/ocr/index.js';
+
+// No waiting between attempts
+const retryPolicy = { maxAttempts: 3, baseDelayMs: 0, maxDelayMs: 0, factor: 2, jitter: false };
+const rateLimited = () => Object.assign(new Error('rate limited'), { status: 429 });
+const image = { buffer: Buffer.from('photo'), mimetype: 'image/jpeg', originalname: 'a.jpg' };
+
+// A fake provider whose first `failures` calls throw `error()`
+function flakyProvider(name, failures, error, text = '{"tag":"12345"}') {
+  let calls = 0;
+  const provider = createFakeProvider({
+    name,
+    responses: () => {
+      calls += 1;
+      if (calls <= failures) throw error();
+      return text;
+    },
+  });
+  return Object.assign(provider, { calls: () => calls });
+}
+
+function registryWith(...providers) {
+  const registry = createProviderRegistry({ defaultProvider: providers[0].name });
+  providers.forEach(provider => registry.register(provider));
+  return registry;
+}
+
+test('the fake provider hands out its responses in order, then repeats them', async () => {
+  const provider = createFakeProvider({ responses: ['12345', 'NULL'] });
+  const texts = [];
+  for (let i = 0; i < 3; i++) texts.push(await provider.extractText(image));
+  assert.deepEqual(texts, ['12345', 'NULL', '12345']);
+  const byName = createFakeProvider({ responses: { 'a.jpg': '67890' } });
+  assert.equal(await byName.extractText(image), '67890');
+  assert.equal(await byName.extractText({ ...image, originalname: 'b.jpg' }), 'NULL');
+});
+
+test('transient failures are retried on the same provider', async () => {
+  const primary = flakyProvider('fake', 2, rateLimited);
+  const registry = registryWith(primary);
+  const result = await createOcrRunner(registry, { retryPolicy }).run(registry.resolve('fake'), image);
+  assert.equal(result.text, '{"tag":"12345"}');
+  assert.equal(result.provider, 'fake');
+  assert.equal(result.attempts, 3);
+  assert.equal(result.usedFallback, false);
+});
+
+test('permanent failures are not retried and move on to the fallback chain', async () => {
+  const primary = flakyProvider('fake', Infinity, () => Object.assign(new Error('bad request'), { status: 400 }));
+  const backup = flakyProvider('backup', 1, rateLimited, '{"tag":"67890"}');
+  const registry = registryWith(primary, backup);
+  const runner = createOcrRunner(registry, { retryPolicy, fallbackChain: ['fake', 'backup'] });
+  const result = await runner.run(registry.resolve('fake'), image);
+  assert.equal(primary.calls(), 1);
+  assert.equal(result.provider, 'backup');
+  assert.equal(result.usedFallback, true);
+  assert.equal(result.attempts, 3);
+  assert.deepEqual(result.providerAttempts, [
+    { provider: 'fake', attempts: 1, error: 'bad request' },
+    { provider: 'backup', attempts: 2 },
+  ]);
+});
+
+test('disabled providers are skipped and fallback can be turned off', async () => {
+  const primary = flakyProvider('fake', Infinity, rateLimited);
+  const disabled = { ...createFakeProvider({ name: 'off', responses: ['11111'] }), enabled: false };
+  const backup = createFakeProvider({ name: 'backup', responses: ['22222'] });
+  const registry = registryWith(primary, disabled, backup);
+  const runner = createOcrRunner(registry, { retryPolicy, fallbackChain: ['off', 'backup'] });
+
+  assert.equal((await runner.run(registry.resolve('fake'), image)).provider, 'backup');
+  await assert.rejects(runner.run(registry.resolve('fake'), image, { fallback: false }), err => {
+    assert.match(err.message, /^All OCR providers failed: rate limited/);
+    assert.equal(err.attempts, 3);
+    assert.deepEqual(err.providerAttempts.map(attempt => attempt.provider), ['fake']);
+    return true;
+  });
+});
+
+test('the registry resolves names case-insensitively and rejects unknown or disabled ones', () => {
+  const registry = registryWith(createFakeProvider(), { ...createFakeProvider({ name: 'off' }), enabled: false });
+  assert.equal(registry.resolve('').name, 'fake');
+  assert.equal(registry.resolve('FAKE').name, 'fake');
+  assert.equal(registry.resolve('off'), null);
+  assert.equal(registry.resolve('nope'), null);
+  assert.throws(() => registry.register(createFakeProvider()), /already registered/);
+});
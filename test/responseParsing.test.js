@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractJson, normalizeBox, normalizeConfidence, parseMultiTagResponse, parseSingleTagResponse } from '../services/ocr/responseParsing.js';
+import { findAssetNumbers } from '../services/ocr/assetNumber.js';
+
+test('extractJson tolerates code fences and chatter around the JSON', () => {
+  assert.deepEqual(extractJson('Sure! ```json\n{"tag":"12345"}\n```'), { tag: '12345' });
+  assert.deepEqual(extractJson('[1, 2]'), [1, 2]);
+  assert.equal(extractJson('no json here'), undefined);
+  assert.equal(extractJson('{"tag": '), undefined);
+});
+
+test('single-tag replies: JSON objects and bare text', () => {
+  assert.deepEqual(parseSingleTagResponse('{"tag":"\\"12345\\"","confidence":87,"alternates":["12346","12345"]}'), [
+    { assetTag: '12345', confidence: 0.87, alternates: ['12346'] },
+  ]);
+  assert.deepEqual(parseSingleTagResponse('{"tag":null}'), []);
+  assert.deepEqual(parseSingleTagResponse('{"tag":"NULL"}'), []);
+  assert.deepEqual(parseSingleTagResponse(" '00123' "), [{ assetTag: '00123' }]);
+  assert.deepEqual(parseSingleTagResponse('NULL'), []);
+  assert.deepEqual(parseSingleTagResponse(''), []);
+});
+
+test('multi-tag replies: arrays, { tags }, duplicates and plain text', () => {
+  const reply = '[{"tag":"12345","box":[0.1,0.2,0.3,0.4],"confidence":0.9},"67890",{"tag":"12345"},{"tag":null}]';
+  assert.deepEqual(parseMultiTagResponse(reply), [
+    { assetTag: '12345', box: { x: 0.1, y: 0.2, width: 0.3, height: 0.4 }, confidence: 0.9 },
+    { assetTag: '67890' },
+  ]);
+  assert.deepEqual(parseMultiTagResponse('{"tags":[{"assetTag":"11111"}]}'), [{ assetTag: '11111' }]);
+  assert.deepEqual(parseMultiTagResponse('Tags: 0012345 and 67890, room 12'), [{ assetTag: '12345' }, { assetTag: '67890' }]);
+});
+
+test('boxes and confidences are normalized to 0-1 fractions', () => {
+  assert.deepEqual(normalizeBox({ x: -1, y: 0.5, w: 2, h: 0.25 }), { x: 0, y: 0.5, width: 1, height: 0.25 });
+  assert.equal(normalizeBox([0.1, 'a', 0.2, 0.2]), undefined);
+  assert.equal(normalizeConfidence(0.42), 0.42);
+  assert.equal(normalizeConfidence(250), 1);
+  assert.equal(normalizeConfidence(null), undefined);
+  assert.equal(normalizeConfidence(-3), undefined);
+});
+
+test('findAssetNumbers reads whole words first, then digit runs inside them', () => {
+  assert.deepEqual(findAssetNumbers('SN0012345 / 12-345 / 9'), ['12345']);
+  assert.deepEqual(findAssetNumbers(''), []);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkAssetTag, normalizeAssetTag, validateTagFormat, verifyChecksum, DEFAULT_TAG_FORMAT } from '../services/tagFormat.js';
+
+const digits = (length, checksum) => ({ ...DEFAULT_TAG_FORMAT, pattern: `^\\d{${length - 1}}[\\dX]$`, stripLeadingZeros: false, checksum });
+
+test('luhn check digits', () => {
+  assert.equal(verifyChecksum('79927398713', 'luhn'), true);
+  assert.equal(verifyChecksum('79927398710', 'luhn'), false);
+  assert.equal(verifyChecksum('49927398716', 'luhn'), true);
+});
+
+test('mod10 check digits (plain digit sum)', () => {
+  assert.equal(verifyChecksum('12340', 'mod10'), true); // 1+2+3+4 = 10
+  assert.equal(verifyChecksum('12345', 'mod10'), false);
+  assert.equal(verifyChecksum('99994', 'mod10'), true); // 36, so 4 makes it a multiple of 10
+});
+
+test('mod11 check digits, with X for ten', () => {
+  assert.equal(verifyChecksum('0306406152', 'mod11'), true);
+  assert.equal(verifyChecksum('0306406153', 'mod11'), false);
+  assert.equal(verifyChecksum('080442957X', 'mod11'), true);
+  assert.equal(verifyChecksum('080442957x', 'mod11'), true);
+});
+
+test('letters in the payload are ignored and too-short tags fail', () => {
+  assert.equal(verifyChecksum('HQ12340', 'mod10'), true);
+  assert.equal(verifyChecksum('5', 'luhn'), false);
+  assert.equal(verifyChecksum('12345', 'none'), true);
+});
+
+test('normalizeAssetTag drops separators and extra leading zeros', () => {
+  assert.equal(normalizeAssetTag(' 00-12 345 '), '12345');
+  assert.equal(normalizeAssetTag('0000'), '0');
+  assert.equal(normalizeAssetTag(null), '');
+});
+
+test('checkAssetTag reports format problems before checksum ones', () => {
+  assert.deepEqual(checkAssetTag('0012-345'), { assetTag: '12345', formatValid: true, checksumValid: undefined, error: null });
+  assert.equal(checkAssetTag('1234').formatValid, false);
+  assert.equal(checkAssetTag('').error, 'Asset tag is empty.');
+
+  const mod11 = digits(10, 'mod11');
+  assert.equal(checkAssetTag('0-306-40615-2', mod11).checksumValid, true);
+  const bad = checkAssetTag('0306406153', mod11);
+  assert.equal(bad.formatValid, true);
+  assert.equal(bad.checksumValid, false);
+  assert.match(bad.error, /mod11/);
+  assert.equal(checkAssetTag('123', mod11).checksumValid, undefined);
+});
+
+test('validateTagFormat requires an example that passes the format', () => {
+  assert.deepEqual(validateTagFormat({ checksum: 'luhn', example: '12344' }).errors, []);
+  assert.match(validateTagFormat({ checksum: 'luhn', example: '12345' }).errors[0], /example/);
+  assert.match(validateTagFormat({ checksum: 'crc' }).errors[0], /checksum/);
+  assert.match(validateTagFormat({ pattern: '([' }).errors[0], /regular expression/);
+});
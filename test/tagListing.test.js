@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listParam, parseTagListQuery, DEFAULT_PAGE_SIZE } from '../services/tagListing.js';
+
+test('without page or limit the listing is unpaged, sorted newest first', () => {
+  const { listing, errors } = parseTagListQuery({});
+  assert.deepEqual(errors, []);
+  assert.equal(listing.paged, false);
+  assert.deepEqual(listing.filter, {});
+  assert.deepEqual(listing.sort, { scannedAt: -1, _id: -1 });
+  assert.equal(listing.limit, DEFAULT_PAGE_SIZE);
+});
+
+test('page and limit turn paging on', () => {
+  const { listing } = parseTagListQuery({ page: '3', limit: '20', sort: 'assetTag', order: 'asc' });
+  assert.equal(listing.paged, true);
+  assert.equal(listing.skip, 40);
+  assert.deepEqual(listing.sort, { assetTag: 1, _id: 1 });
+});
+
+test('filters are normalized', () => {
+  const { listing } = parseTagListQuery({ region: ' yc ', aiModel: ' Gemini ', roomNumber: '101', q: '00-12', from: '2026-03-01', to: '2026-03-02' });
+  assert.deepEqual(listing.filter, {
+    region: 'YC',
+    aiModel: 'gemini',
+    roomNumber: '101',
+    assetTag: { $regex: '^12' },
+    scannedAt: { $gte: new Date('2026-03-01T00:00:00Z'), $lte: new Date('2026-03-02T23:59:59.999Z') },
+  });
+  assert.deepEqual(parseTagListQuery({ q: 'a.*' }).listing.filter.assetTag, { $regex: '^A\\.\\*' });
+});
+
+test('source filters also match tags saved before `source` existed', () => {
+  assert.deepEqual(parseTagListQuery({ source: 'manual' }).listing.filter, {
+    $or: [{ source: 'manual' }, { source: { $exists: false }, sourceImageOriginalName: 'manual_entry' }],
+  });
+  assert.deepEqual(parseTagListQuery({ source: 'ocr' }).listing.filter, {
+    $or: [{ source: 'ocr' }, { source: { $exists: false }, sourceImageOriginalName: { $ne: 'manual_entry' } }],
+  });
+  assert.deepEqual(parseTagListQuery({ source: 'barcode' }).listing.filter, { source: 'barcode' });
+});
+
+test('invalid parameters are all reported', () => {
+  const { errors } = parseTagListQuery({ page: '0', limit: '9999', sort: 'bogus', order: 'up', source: 'fax', userId: 'u1', from: 'soon' });
+  assert.equal(errors.length, 7);
+  assert.deepEqual(parseTagListQuery({ userId: 'u1' }, { allowUserFilter: true }).listing.filter, { userId: 'u1' });
+  assert.match(parseTagListQuery({ from: '2026-03-02', to: '2026-03-01' }).errors[0], /from must not be after to/);
+});
+
+test('listParam accepts repeated and comma separated values', () => {
+  assert.deepEqual(listParam(['101', ' 102 ', '101', '']), ['101', '102']);
+  assert.deepEqual(listParam('hc,yc', { split: true }), ['hc', 'yc']);
+  assert.deepEqual(listParam(undefined), []);
+});